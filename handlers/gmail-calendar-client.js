@@ -165,6 +165,47 @@ class GoogleAPIClient {
         }
     }
 
+    /**
+     * Get events from one of the user's calendars (e.g. a subscribed holiday calendar) in a time range
+     */
+    async getCalendarEvents(userEmail, calendarId, timeMin, timeMax) {
+        console.log(`📅 [GOOGLE-API-CLIENT] Getting events from ${calendarId} for ${userEmail} from ${timeMin} to ${timeMax}`);
+
+        try {
+            const response = await axios.post(`${this.mainProjectUrl}/api/decrypt`, {
+                email: userEmail,
+                action: "calendar",
+                subAction: "getEvents",
+                params: {
+                    calendarId,
+                    timeMin,
+                    timeMax
+                }
+            }, {
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                timeout: 30000,
+            });
+
+            if (response.data && response.data.success) {
+                console.log(`✅ [GOOGLE-API-CLIENT] Retrieved ${response.data.events?.length || 0} events from ${calendarId}`);
+                return response.data.events || [];
+            } else {
+                console.error("❌ [GOOGLE-API-CLIENT] Calendar events API call failed:", response.data);
+                return [];
+            }
+
+        } catch (error) {
+            console.error("❌ [GOOGLE-API-CLIENT] Error fetching calendar events:", {
+                message: error.message,
+                status: error.response?.status,
+                data: error.response?.data
+            });
+            throw error;
+        }
+    }
+
     /**
      * Get user's calendar availability
      */
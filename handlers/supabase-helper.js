@@ -1,6 +1,12 @@
 // supabaseHelpers.js
 const { createClient } = require("@supabase/supabase-js");
-const moment = require("moment-timezone");
+const clock = require("../services/clock");
+const {
+    normalizeVipSenders,
+    validateVipSenders,
+} = require("../services/vip-senders");
+const { getDailyBriefTypes } = require("../services/brief-types");
+const { validatePauses } = require("../services/delivery-schedule");
 
 // Debug environment variables
 console.log("🔍 [SUPABASE] Environment variables check:");
@@ -60,15 +66,16 @@ async function testSupabaseConnection() {
     }
 }
 
-// Get all active users with preferences
-async function getActiveUsers() {
-    console.log(
-        "🔍 [SUPABASE] Fetching active users from user_preferences table..."
-    );
+// Get every user_preferences row, including users who cannot be sent
+// briefs yet (no slack_user_id)
+async function getAllUsers() {
+    console.log("🔍 [SUPABASE] Fetching users from user_preferences table...");
 
     const { data, error } = await supabase
         .from("user_preferences")
-        .select("user_id, timezone, user_email, delivery_time, slack_user_id");
+        .select(
+            "user_id, timezone, user_email, delivery_time, weekly_schedule, brief_types, pauses, time_off_behavior, holiday_calendar, slack_user_id"
+        );
 
     if (error) {
         console.error("❌ [SUPABASE] Error fetching users:", error);
@@ -83,6 +90,13 @@ async function getActiveUsers() {
         return [];
     }
 
+    return data;
+}
+
+// Get all active users with preferences
+async function getActiveUsers() {
+    const data = await getAllUsers();
+
     // Filter out users without slack_user_id
     const validUsers = data.filter((user) => user.slack_user_id);
     if (validUsers.length < data.length) {
@@ -96,76 +110,92 @@ async function getActiveUsers() {
     return validUsers;
 }
 
-// Check if brief was already sent today
-async function checkIfAlreadySent(userId) {
+// Check if a brief of the given type was already sent for a local date
+// (yyyy-MM-dd in the user's timezone). Failed attempts do not count.
+async function checkIfAlreadySent(userId, briefType = "morning", localDate) {
     console.log(
-        "🔍 [SUPABASE] Checking if brief was already sent for user:",
+        `🔍 [SUPABASE] Checking if ${briefType} brief for ${localDate} was already sent for user:`,
         userId
     );
-    const today = moment().utc().startOf("day").toISOString();
 
     const { data, error } = await supabase
         .from("brief_usage")
         .select("id")
         .eq("user_id", userId)
-        .gte("last_used", today)
-        .single();
+        .eq("brief_type", briefType)
+        .eq("local_date", localDate)
+        .neq("status", "failed")
+        .limit(1)
+        .maybeSingle();
 
+    if (error) {
+        console.error("❌ [SUPABASE] Error checking sent brief:", error);
+    }
     return !!data; // Returns true if found
 }
 
-// Check if a brief was sent recently within a time window (in seconds)
-async function checkIfSentRecently(userId, windowSeconds = 3000) {
-    const since = new Date(Date.now() - windowSeconds * 1000).toISOString();
+// Get the most recent brief_usage row for a user and brief type, or null
+async function getLastBriefRun(userId, briefType = "morning") {
     const { data, error } = await supabase
         .from("brief_usage")
-        .select("id")
+        .select("status, last_used, local_date, error_message")
         .eq("user_id", userId)
-        .gte("last_used", since)
+        .eq("brief_type", briefType)
+        .order("last_used", { ascending: false })
         .limit(1)
         .maybeSingle();
 
-    if (error && error.code !== "PGRST116") {
-        // ignore no rows error
-        console.error("❌ [SUPABASE] Error checking recent brief:", error);
+    if (error) {
+        console.error("❌ [SUPABASE] Error fetching last brief run:", error);
+        return null;
     }
-    return !!data;
+    return data;
 }
 
-// Queue helpers
-async function enqueueDueBriefJobs(users) {
-    // Create jobs for the current minute in each user's local timezone
-    const nowUtc = new Date();
-    const upserts = [];
-    for (const user of users) {
-        try {
-            const userNow = moment.tz(nowUtc, user.timezone);
-            const hhmm = userNow.format("HH:mm");
-            if (hhmm === user.delivery_time.slice(0, 5)) {
-                // schedule at current minute boundary
-                const scheduledAt = new Date(
-                    Date.UTC(
-                        userNow.year(),
-                        userNow.month(),
-                        userNow.date(),
-                        userNow.hour(),
-                        userNow.minute(),
-                        0,
-                        0
-                    )
-                ).toISOString();
-                upserts.push({
-                    user_id: user.user_id,
-                    scheduled_at: scheduledAt,
-                    status: "pending",
-                });
-            }
-        } catch {}
+// Get the most recent successfully delivered daily brief of any type, or null
+async function getLastSuccessfulBrief(userId) {
+    const { data, error } = await supabase
+        .from("brief_usage")
+        .select("brief_type, last_used, local_date")
+        .eq("user_id", userId)
+        .eq("status", "success")
+        .in("brief_type", getDailyBriefTypes())
+        .order("last_used", { ascending: false })
+        .limit(1)
+        .maybeSingle();
+
+    if (error) {
+        console.error(
+            "❌ [SUPABASE] Error fetching last successful brief:",
+            error
+        );
+        return null;
     }
+    return data;
+}
+
+// Queue helpers
+const QUEUE_COLUMNS =
+    "id,user_id,brief_type,scheduled_at,status,attempts,generation_attempts,next_attempt_at,lease_expires_at,prepared_brief";
+
+// Enqueue due deliveries ({ user_id, brief_type, scheduled_at, ready_at }).
+// `ready_at` defaults to the slot time and lets a job be held back (jitter).
+// A job that already exists for the same slot is left untouched.
+async function enqueueDueBriefJobs(jobs) {
+    const upserts = jobs.map((job) => ({
+        user_id: job.user_id,
+        brief_type: job.brief_type || "morning",
+        scheduled_at: job.scheduled_at,
+        next_attempt_at: job.ready_at || job.scheduled_at,
+        status: "pending",
+    }));
     if (upserts.length === 0) return { inserted: 0 };
     const { error } = await supabase
         .from("brief_queue")
-        .upsert(upserts, { onConflict: "user_id,scheduled_at" });
+        .upsert(upserts, {
+            onConflict: "user_id,brief_type,scheduled_at",
+            ignoreDuplicates: true,
+        });
     if (error) {
         console.error("❌ [SUPABASE] Failed to enqueue jobs:", error);
         return { inserted: 0, error };
@@ -173,58 +203,160 @@ async function enqueueDueBriefJobs(users) {
     return { inserted: upserts.length };
 }
 
+// Fetch jobs that are ready to run: pending and past their next attempt (or
+// with none set), or processing with an expired lease (the worker holding it
+// died). `depth` is the total number of ready jobs, not just those returned.
 async function fetchNextBriefJobs(limit = 5) {
-    const { data, error } = await supabase
+    const now = clock.nowISO();
+    const { data, error, count } = await supabase
         .from("brief_queue")
-        .select("id,user_id,scheduled_at,status,attempts")
-        .eq("status", "pending")
-        .lte("scheduled_at", new Date().toISOString())
-        .order("scheduled_at", { ascending: true })
+        .select(QUEUE_COLUMNS, { count: "exact" })
+        .or(
+            `and(status.eq.pending,next_attempt_at.lte."${now}"),and(status.eq.pending,next_attempt_at.is.null),and(status.eq.processing,lease_expires_at.lt."${now}")`
+        )
+        .order("next_attempt_at", { ascending: true, nullsFirst: true })
         .limit(limit);
     if (error) {
         console.error("❌ [SUPABASE] Failed to fetch jobs:", error);
-        return [];
+        return { jobs: [], depth: null };
     }
-    return data || [];
+    return { jobs: data || [], depth: count ?? null };
 }
 
-async function markJobProcessing(id) {
-    const { error } = await supabase
+// Claim a job with a lease. The update only matches if the job is still in
+// the state we fetched it in, so exactly one worker wins. Returns the
+// claimed job, or null if another worker got there first.
+async function markJobProcessing(job, workerId, leaseSeconds = 600) {
+    const leaseExpiresAt = clock
+        .now()
+        .plus({ seconds: leaseSeconds })
+        .toUTC()
+        .toISO();
+    const { data, error } = await supabase
         .from("brief_queue")
         .update({
             status: "processing",
-            attempts: supabase.rpc ? undefined : undefined,
+            attempts: job.attempts + 1,
+            locked_by: workerId,
+            lease_expires_at: leaseExpiresAt,
+        })
+        .eq("id", job.id)
+        .eq("status", job.status)
+        .eq("attempts", job.attempts)
+        .select(QUEUE_COLUMNS);
+    if (error) {
+        console.error("❌ [SUPABASE] Failed to mark processing:", error);
+        return null;
+    }
+    return data?.[0] || null;
+}
+
+// Extend the lease on a job we are still processing. Returns false if the
+// lease was lost (it expired and another worker claimed the job).
+async function renewJobLease(job, workerId, leaseSeconds = 600) {
+    const leaseExpiresAt = clock
+        .now()
+        .plus({ seconds: leaseSeconds })
+        .toUTC()
+        .toISO();
+    const { data, error } = await supabase
+        .from("brief_queue")
+        .update({ lease_expires_at: leaseExpiresAt })
+        .eq("id", job.id)
+        .eq("status", "processing")
+        .eq("locked_by", workerId)
+        .eq("attempts", job.attempts)
+        .select("id");
+    if (error) {
+        console.error("❌ [SUPABASE] Failed to renew lease:", error);
+        return false;
+    }
+    return !!data?.length;
+}
+
+// Store a pre-generated brief on a claimed job and release it until its
+// delivery time. `attempts` keeps counting (it fences every claim), and
+// `generation_attempts` records how many went into generation so delivery
+// still gets its full retry budget.
+async function saveJobPreparedBrief(job, preparedBrief, deliverAt) {
+    const { data, error } = await supabase
+        .from("brief_queue")
+        .update({
+            status: "pending",
+            generation_attempts: job.attempts,
+            prepared_brief: preparedBrief,
+            next_attempt_at: deliverAt,
+            locked_by: null,
+            lease_expires_at: null,
         })
-        .eq("id", id);
-    if (error) console.error("❌ [SUPABASE] Failed to mark processing:", error);
+        .eq("id", job.id)
+        .eq("attempts", job.attempts)
+        .select("id");
+    if (error) {
+        console.error("❌ [SUPABASE] Failed to save prepared brief:", error);
+        return false;
+    }
+    return !!data?.length;
 }
 
-async function completeJob(id) {
+// Finish a claimed job. Guarded on attempts so a worker whose lease expired
+// cannot overwrite a newer claim.
+async function completeJob(job, status = "completed") {
     const { error } = await supabase
         .from("brief_queue")
-        .update({ status: "completed" })
-        .eq("id", id);
+        .update({
+            status: status,
+            locked_by: null,
+            lease_expires_at: null,
+            completed_at: clock.nowISO(),
+        })
+        .eq("id", job.id)
+        .eq("attempts", job.attempts);
     if (error) console.error("❌ [SUPABASE] Failed to complete job:", error);
 }
 
-async function failJob(id, lastError) {
-    const { error } = await supabase
+// Release a failed job for retry at nextAttemptAt, or dead-letter it.
+// Guarded like completeJob; returns false if the job had moved on.
+async function failJob(
+    job,
+    lastError,
+    { dead = false, nextAttemptAt = null } = {}
+) {
+    const { data, error } = await supabase
         .from("brief_queue")
         .update({
-            status: "failed",
+            status: dead ? "dead" : "pending",
             last_error: lastError,
-            attempts: supabase.rpc ? undefined : undefined,
+            next_attempt_at: nextAttemptAt || clock.nowISO(),
+            locked_by: null,
+            lease_expires_at: null,
         })
-        .eq("id", id);
-    if (error) console.error("❌ [SUPABASE] Failed to fail job:", error);
+        .eq("id", job.id)
+        .eq("status", "processing")
+        .eq("attempts", job.attempts)
+        .select("id");
+    if (error) {
+        console.error("❌ [SUPABASE] Failed to fail job:", error);
+        return false;
+    }
+    return !!data?.length;
 }
 
-// Log that a brief was sent
-async function logBriefSent(userId, status = "success", errorMessage = null) {
+// Log a brief outcome under its idempotency key (user, brief type, local
+// date). Returns false if the key is already taken by an earlier outcome.
+async function logBriefSent(
+    userId,
+    status = "success",
+    errorMessage = null,
+    briefType = "morning",
+    localDate = null
+) {
     // Only include error_message if it exists and we have an error
     const insertData = {
         user_id: userId,
-        last_used: new Date().toISOString(),
+        brief_type: briefType,
+        local_date: localDate,
+        last_used: clock.nowISO(),
         status: status,
     };
 
@@ -235,11 +367,235 @@ async function logBriefSent(userId, status = "success", errorMessage = null) {
 
     const { error } = await supabase.from("brief_usage").insert(insertData);
 
+    if (error?.code === "23505") {
+        console.warn(
+            `⚠️ [SUPABASE] ${briefType} brief for ${localDate} already logged for user ${userId}, not logging ${status}`
+        );
+        return false;
+    }
     if (error) {
         console.error("Error logging brief:", error);
     } else {
-        console.log(`✅ [SUPABASE] Logged brief ${status} for user ${userId}`);
+        console.log(
+            `✅ [SUPABASE] Logged ${briefType} brief ${status} for user ${userId}`
+        );
     }
+    return true;
+}
+
+// Brief archive: every delivered brief with what was sent and how it was made
+const ARCHIVE_LIST_COLUMNS =
+    "id,user_id,brief_type,local_date,scheduled_at,trigger,status,error_message,format,source,model,delivered_at";
+
+// Store a delivered brief (delivery status, sent message and blocks, the
+// structured brief, sources, model and token usage). Returns the row id, or
+// null if it could not be stored.
+async function archiveBrief(entry) {
+    const { data, error } = await supabase
+        .from("brief_archive")
+        .insert({
+            user_id: entry.userId,
+            brief_type: entry.briefType || "morning",
+            local_date: entry.localDate || null,
+            scheduled_at: entry.scheduledAt || null,
+            trigger: entry.trigger || "scheduled",
+            status: entry.status,
+            error_message: entry.errorMessage || null,
+            format: entry.format,
+            rendered_text: entry.renderedText,
+            blocks: entry.blocks || null,
+            brief: entry.brief,
+            source: entry.brief?.source || null,
+            sources: entry.brief?.generation?.sources || null,
+            model: entry.brief?.generation?.model || null,
+            usage: entry.brief?.generation?.usage || null,
+            delivered_at: clock.nowISO(),
+        })
+        .select("id")
+        .single();
+
+    if (error) {
+        console.error("❌ [SUPABASE] Error archiving brief:", error);
+        return null;
+    }
+    return data.id;
+}
+
+// List a user's archived briefs, newest first, without their content.
+// `before` (ISO timestamp) pages back from the last row of a previous page.
+async function listArchivedBriefs(userId, { limit = 20, before = null } = {}) {
+    let query = supabase
+        .from("brief_archive")
+        .select(ARCHIVE_LIST_COLUMNS)
+        .eq("user_id", userId)
+        .order("delivered_at", { ascending: false })
+        .limit(limit);
+    if (before) query = query.lt("delivered_at", before);
+
+    const { data, error } = await query;
+    if (error) {
+        console.error("❌ [SUPABASE] Error listing archived briefs:", error);
+        throw error;
+    }
+    return data || [];
+}
+
+// Get the data snapshot of the user's latest delivered scheduled daily
+// brief, or null. The next brief compares against it to find what changed;
+// test briefs are left out so they do not move that baseline.
+async function getLastBriefSnapshot(userId) {
+    const { data, error } = await supabase
+        .from("brief_archive")
+        .select("delivered_at, snapshot:brief->generation->snapshot")
+        .eq("user_id", userId)
+        .eq("status", "success")
+        .eq("trigger", "scheduled")
+        .in("brief_type", getDailyBriefTypes())
+        .order("delivered_at", { ascending: false })
+        .limit(1)
+        .maybeSingle();
+
+    if (error) {
+        console.error(
+            "❌ [SUPABASE] Error fetching last brief snapshot:",
+            error
+        );
+        return null;
+    }
+    return data?.snapshot || null;
+}
+
+// Get one archived brief with its content, or null. The generation
+// snapshot (raw calendar and email data kept for the next brief's diff) is
+// left out.
+async function getArchivedBrief(id) {
+    const { data, error } = await supabase
+        .from("brief_archive")
+        .select("*")
+        .eq("id", id)
+        .maybeSingle();
+
+    if (error) {
+        console.error("❌ [SUPABASE] Error fetching archived brief:", error);
+        throw error;
+    }
+    if (!data?.brief?.generation) return data;
+
+    const { snapshot, ...generation } = data.brief.generation;
+    return { ...data, brief: { ...data.brief, generation } };
+}
+
+// Action items: open items are carried into briefs until resolved or expired
+const ACTION_ITEM_COLUMNS =
+    "id,user_id,item_key,text,due_date,thread_link,thread_id,subject,sender,status,resolution,created_at,expires_at,resolved_at";
+
+// Get a user's action items with the given status (soonest due first).
+// Open items past their expiry count as expired here, whether or not
+// expireActionItems has marked them yet.
+async function getActionItems(userId, status = "open") {
+    const now = clock.nowISO();
+    let query = supabase
+        .from("action_items")
+        .select(ACTION_ITEM_COLUMNS)
+        .eq("user_id", userId);
+
+    if (status === "open") {
+        query = query.eq("status", "open").gt("expires_at", now);
+    } else if (status === "expired") {
+        query = query.or(
+            `status.eq.expired,and(status.eq.open,expires_at.lte.${now})`
+        );
+    } else {
+        query = query.eq("status", status);
+    }
+
+    const { data, error } = await query
+        .order("due_date", { ascending: true, nullsFirst: false })
+        .order("created_at", { ascending: true })
+        .limit(100);
+
+    if (error) {
+        console.error("❌ [SUPABASE] Error fetching action items:", error);
+        throw error;
+    }
+    return data || [];
+}
+
+// Get the item_key of every action item stored for a user, whatever its
+// status, so items already resolved or expired are not shown as new
+async function getActionItemKeys(userId) {
+    const { data, error } = await supabase
+        .from("action_items")
+        .select("item_key")
+        .eq("user_id", userId);
+
+    if (error) {
+        console.error("❌ [SUPABASE] Error fetching action item keys:", error);
+        throw error;
+    }
+    return (data || []).map((row) => row.item_key);
+}
+
+// Mark a user's open action items past their expiry as expired. Returns
+// the number of rows updated, or false on error.
+async function expireActionItems(userId) {
+    const { data, error } = await supabase
+        .from("action_items")
+        .update({ status: "expired" })
+        .eq("user_id", userId)
+        .eq("status", "open")
+        .lte("expires_at", clock.nowISO())
+        .select("id");
+
+    if (error) {
+        console.error("❌ [SUPABASE] Error expiring action items:", error);
+        return false;
+    }
+    return data?.length || 0;
+}
+
+// Store newly extracted action items. Items already stored for the user
+// (same item_key) are left untouched. Returns the rows that were inserted.
+async function saveActionItems(items) {
+    if (items.length === 0) return [];
+
+    const { data, error } = await supabase
+        .from("action_items")
+        .upsert(items, {
+            onConflict: "user_id,item_key",
+            ignoreDuplicates: true,
+        })
+        .select(ACTION_ITEM_COLUMNS);
+
+    if (error) {
+        console.error("❌ [SUPABASE] Error saving action items:", error);
+        return [];
+    }
+    return data || [];
+}
+
+// Resolve a user's open action items ("replied" when the user answered the
+// thread, "manual" when resolved through the API). Returns the resolved rows.
+async function resolveActionItems(userId, ids, resolution = "manual") {
+    if (!userId) throw new Error("userId is required to resolve action items");
+    if (ids.length === 0) return [];
+
+    const { data, error } = await supabase
+        .from("action_items")
+        .update({
+            status: "resolved",
+            resolution,
+            resolved_at: clock.nowISO(),
+        })
+        .in("id", ids)
+        .eq("user_id", userId)
+        .eq("status", "open")
+        .select(ACTION_ITEM_COLUMNS);
+    if (error) {
+        console.error("❌ [SUPABASE] Error resolving action items:", error);
+        throw error;
+    }
+    return data || [];
 }
 
 // Update user preferences (for Slack commands)
@@ -248,14 +604,15 @@ async function updateUserPreference(
     timezone,
     deliveryTime,
     userEmail,
-    slackUserId = null
+    slackUserId = null,
+    weeklySchedule = undefined
 ) {
     const updateData = {
         user_id: userId,
         timezone: timezone,
         user_email: userEmail,
         delivery_time: deliveryTime,
-        updated_at: new Date().toISOString(),
+        updated_at: clock.nowISO(),
     };
 
     // Add slack_user_id if provided
@@ -263,6 +620,11 @@ async function updateUserPreference(
         updateData.slack_user_id = slackUserId;
     }
 
+    // Weekday overrides, e.g. { sat: "off", sun: "18:00" }; null clears them
+    if (weeklySchedule !== undefined) {
+        updateData.weekly_schedule = weeklySchedule;
+    }
+
     const { data, error } = await supabase
         .from("user_preferences")
         .upsert(updateData, {
@@ -276,6 +638,54 @@ async function updateUserPreference(
     return true;
 }
 
+// Replace a user's pause ranges, e.g. [{ start: "2026-12-20", end: "2027-01-02" }]
+async function updateUserPauses(userId, pauses) {
+    try {
+        validatePauses(pauses);
+    } catch (error) {
+        console.error("Invalid pauses:", error.message);
+        return false;
+    }
+
+    const { error } = await supabase
+        .from("user_preferences")
+        .update({
+            pauses: pauses,
+            updated_at: clock.nowISO(),
+        })
+        .eq("user_id", userId);
+
+    if (error) {
+        console.error("Error updating pauses:", error);
+        return false;
+    }
+    return true;
+}
+
+// Replace a user's VIP senders, e.g. ["ceo@acme.com", "bigclient.com"]
+async function updateUserVipSenders(userId, vipSenders) {
+    try {
+        validateVipSenders(vipSenders);
+    } catch (error) {
+        console.error("Invalid VIP senders:", error.message);
+        return false;
+    }
+
+    const { error } = await supabase
+        .from("user_preferences")
+        .update({
+            vip_senders: normalizeVipSenders(vipSenders),
+            updated_at: clock.nowISO(),
+        })
+        .eq("user_id", userId);
+
+    if (error) {
+        console.error("Error updating VIP senders:", error);
+        return false;
+    }
+    return true;
+}
+
 // Subscribe to preference changes (real-time)
 function subscribeToPreferenceChanges(callback) {
     const subscription = supabase
@@ -309,7 +719,9 @@ async function getUserPreferences(userId = null, userEmail = null) {
 
     let query = supabase
         .from("user_preferences")
-        .select("user_id, timezone, user_email, delivery_time, slack_user_id");
+        .select(
+            "user_id, timezone, user_email, delivery_time, weekly_schedule, brief_types, pauses, time_off_behavior, holiday_calendar, vip_senders, slack_user_id"
+        );
 
     // Prefer userId lookup, fallback to email
     if (userId) {
@@ -337,16 +749,31 @@ async function getUserPreferences(userId = null, userEmail = null) {
 module.exports = {
     supabase,
     testSupabaseConnection,
+    getAllUsers,
     getActiveUsers,
     getUserPreferences,
     checkIfAlreadySent,
-    checkIfSentRecently,
+    getLastBriefRun,
+    getLastSuccessfulBrief,
     logBriefSent,
+    archiveBrief,
+    listArchivedBriefs,
+    getArchivedBrief,
+    getLastBriefSnapshot,
+    getActionItems,
+    getActionItemKeys,
+    expireActionItems,
+    saveActionItems,
+    resolveActionItems,
     updateUserPreference,
+    updateUserPauses,
+    updateUserVipSenders,
     subscribeToPreferenceChanges,
     enqueueDueBriefJobs,
     fetchNextBriefJobs,
     markJobProcessing,
+    renewJobLease,
+    saveJobPreparedBrief,
     completeJob,
     failJob,
 };
@@ -1,10 +1,19 @@
 // index.js - Mimi Daily Brief Cron Scheduler
 require("dotenv").config();
+const crypto = require("crypto");
 const express = require("express");
-const { initScheduler, getSchedulerStatus, stopAllTasks, triggerTestBrief } = require("./scheduler");
-const { testSupabaseConnection, getActiveUsers } = require("./handlers/supabase-helper");
+const { initScheduler, getSchedulerStatus, getSchedulePreview, stopAllTasks, triggerTestBrief } = require("./scheduler");
+const {
+    testSupabaseConnection,
+    getActiveUsers,
+    listArchivedBriefs,
+    getArchivedBrief,
+    getActionItems,
+    resolveActionItems
+} = require("./handlers/supabase-helper");
 const { GoogleAPIClient } = require("./handlers/gmail-calendar-client");
 const { testWebhook, sendHealthStatus } = require("./services/webhook-client");
+const clock = require("./services/clock");
 
 const app = express();
 const port = process.env.PORT || 3002;
@@ -22,6 +31,34 @@ let schedulerInitialized = false;
 // Initialize Google API client for testing
 const googleClient = new GoogleAPIClient();
 
+// Archive and action item ids are uuids; anything else would reach Postgres
+// as a cast error
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Endpoints that expose users' brief content or action items need
+// "Authorization: Bearer <SUPPORT_API_TOKEN>". Without a configured token
+// they are turned off.
+function requireSupportToken(req, res, next) {
+    const token = process.env.SUPPORT_API_TOKEN;
+    if (!token) {
+        return res.status(503).json({
+            error: "SUPPORT_API_TOKEN is not configured"
+        });
+    }
+
+    const [scheme, provided] = (req.get("authorization") || "").split(" ");
+    const expected = Buffer.from(token);
+    const actual = Buffer.from(provided || "");
+    if (scheme !== "Bearer" || actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+        console.warn(`🔒 [AUTH] Rejected ${req.method} ${req.path} - missing or invalid support token`);
+        return res.status(401).json({
+            error: "Unauthorized"
+        });
+    }
+
+    next();
+}
+
 // Health check endpoint
 app.get("/health", async (req, res) => {
     console.log("🏥 [HEALTH-CHECK] Health check requested");
@@ -43,6 +80,7 @@ app.get("/health", async (req, res) => {
             scheduler: {
                 initialized: schedulerInitialized,
                 activeTasks: schedulerStatus.activeTasks,
+                queueWorker: schedulerStatus.queueWorker,
                 tasks: schedulerStatus.tasks
             },
             database: {
@@ -102,6 +140,10 @@ app.get("/status", async (req, res) => {
                     email: u.user_email,
                     timezone: u.timezone,
                     deliveryTime: u.delivery_time,
+                    weeklySchedule: u.weekly_schedule || null,
+                    briefTypes: u.brief_types || null,
+                    pauses: u.pauses || null,
+                    timeOffBehavior: u.time_off_behavior || "note",
                     hasSlackId: !!u.slack_user_id
                 }))
             }
@@ -117,6 +159,179 @@ app.get("/status", async (req, res) => {
     }
 });
 
+// Schedule preview endpoint: upcoming delivery times, skip reasons and the
+// last run outcome, for all users or ?userId=...
+app.get("/schedule-preview", async (req, res) => {
+    const { userId } = req.query;
+    const count = Math.min(Math.max(parseInt(req.query.count || "5", 10) || 5, 1), 30);
+
+    console.log(`🔮 [SCHEDULE-PREVIEW] Preview requested for ${userId || "all users"} (next ${count})`);
+
+    try {
+        const schedules = await getSchedulePreview(userId || null, count);
+
+        if (userId && schedules.length === 0) {
+            return res.status(404).json({
+                error: `No preferences found for user ${userId}`
+            });
+        }
+
+        res.json({
+            generatedAt: clock.nowISO(),
+            count,
+            schedules
+        });
+    } catch (error) {
+        console.error("❌ [SCHEDULE-PREVIEW] Preview failed:", error);
+        res.status(500).json({
+            error: "Failed to build schedule preview",
+            message: error.message
+        });
+    }
+});
+
+// Brief archive: a user's delivered briefs, newest first (?userId=...&limit=&before=)
+app.get("/briefs", requireSupportToken, async (req, res) => {
+    const { userId, before } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit || "20", 10) || 20, 1), 100);
+
+    if (!userId) {
+        return res.status(400).json({
+            error: "userId is required"
+        });
+    }
+
+    if (before && isNaN(new Date(before).getTime())) {
+        return res.status(400).json({
+            error: `Invalid before timestamp: ${before}`
+        });
+    }
+
+    console.log(`🗄️ [BRIEF-ARCHIVE] Listing briefs for ${userId} (limit ${limit}${before ? `, before ${before}` : ""})`);
+
+    try {
+        const briefs = await listArchivedBriefs(userId, { limit, before: before || null });
+
+        res.json({
+            userId,
+            count: briefs.length,
+            briefs,
+            // Pass as ?before= for the next page
+            nextBefore: briefs.length === limit ? briefs[briefs.length - 1].delivered_at : null
+        });
+    } catch (error) {
+        console.error("❌ [BRIEF-ARCHIVE] Listing failed:", error);
+        res.status(500).json({
+            error: "Failed to list briefs",
+            message: error.message
+        });
+    }
+});
+
+// One archived brief with what was sent, the structured brief and its sources
+app.get("/briefs/:id", requireSupportToken, async (req, res) => {
+    if (!UUID_PATTERN.test(req.params.id)) {
+        return res.status(400).json({
+            error: `Invalid brief id: ${req.params.id}`
+        });
+    }
+
+    console.log(`🗄️ [BRIEF-ARCHIVE] Fetching brief ${req.params.id}`);
+
+    try {
+        const brief = await getArchivedBrief(req.params.id);
+
+        if (!brief) {
+            return res.status(404).json({
+                error: `Brief ${req.params.id} not found`
+            });
+        }
+
+        res.json(brief);
+    } catch (error) {
+        console.error("❌ [BRIEF-ARCHIVE] Fetch failed:", error);
+        res.status(500).json({
+            error: "Failed to fetch brief",
+            message: error.message
+        });
+    }
+});
+
+// A user's tracked action items (?userId=...&status=open|resolved|expired)
+app.get("/action-items", requireSupportToken, async (req, res) => {
+    const { userId } = req.query;
+    const status = req.query.status || "open";
+
+    if (!userId) {
+        return res.status(400).json({
+            error: "userId is required"
+        });
+    }
+
+    if (!["open", "resolved", "expired"].includes(status)) {
+        return res.status(400).json({
+            error: `Invalid status: ${status}`
+        });
+    }
+
+    try {
+        const items = await getActionItems(userId, status);
+
+        res.json({
+            userId,
+            status,
+            count: items.length,
+            items
+        });
+    } catch (error) {
+        console.error("❌ [ACTION-ITEMS] Listing failed:", error);
+        res.status(500).json({
+            error: "Failed to list action items",
+            message: error.message
+        });
+    }
+});
+
+// Mark an open action item as done so later briefs stop carrying it
+app.post("/action-items/:id/resolve", requireSupportToken, async (req, res) => {
+    const { userId } = req.body || {};
+
+    if (!userId) {
+        return res.status(400).json({
+            error: "userId is required in request body"
+        });
+    }
+
+    if (!UUID_PATTERN.test(req.params.id)) {
+        return res.status(400).json({
+            error: `Invalid action item id: ${req.params.id}`
+        });
+    }
+
+    console.log(`📌 [ACTION-ITEMS] Resolving action item ${req.params.id} for ${userId}`);
+
+    try {
+        const [item] = await resolveActionItems(userId, [req.params.id]);
+
+        if (!item) {
+            return res.status(404).json({
+                error: `No open action item ${req.params.id}`
+            });
+        }
+
+        res.json({
+            success: true,
+            item
+        });
+    } catch (error) {
+        console.error("❌ [ACTION-ITEMS] Resolve failed:", error);
+        res.status(500).json({
+            error: "Failed to resolve action item",
+            message: error.message
+        });
+    }
+});
+
 // Manual sync endpoint (for debugging)
 app.post("/sync", async (req, res) => {
     console.log("🔄 [MANUAL-SYNC] Manual sync requested");
@@ -186,7 +401,7 @@ app.post("/test-webhook", async (req, res) => {
 app.post("/test-brief", async (req, res) => {
     console.log("🧪 [TEST-BRIEF] Test brief requested");
     
-    const { userId } = req.body;
+    const { userId, briefType } = req.body;
     
     if (!userId) {
         return res.status(400).json({
@@ -196,7 +411,7 @@ app.post("/test-brief", async (req, res) => {
     }
 
     try {
-        const success = await triggerTestBrief(userId);
+        const success = await triggerTestBrief(userId, briefType);
         
         if (success) {
             console.log(`✅ [TEST-BRIEF] Test brief sent successfully for ${userId}`);
@@ -239,7 +454,7 @@ async function gracefulShutdown(signal) {
     try {
         // Stop all cron tasks
         console.log("⏹️ [SHUTDOWN] Stopping all scheduled tasks...");
-        stopAllTasks();
+        await stopAllTasks();
         
         // Close Express server
         console.log("🌐 [SHUTDOWN] Closing Express server...");
@@ -1,175 +1,490 @@
 // scheduler.js
-const cron = require("node-cron");
-const moment = require("moment-timezone");
+const { DateTime } = require("luxon");
 const {
     testSupabaseConnection,
+    getAllUsers,
     getActiveUsers,
+    getUserPreferences,
     checkIfAlreadySent,
+    getLastBriefRun,
     logBriefSent,
     subscribeToPreferenceChanges,
-    checkIfSentRecently,
+    enqueueDueBriefJobs,
+    saveJobPreparedBrief,
 } = require("./handlers/supabase-helper");
-const { sendBriefViaWebhook } = require("./services/webhook-client");
-
-// Store active cron tasks
+const {
+    sendBriefViaWebhook,
+    prepareBrief,
+    sendPreparedBrief,
+    sendMessage,
+} = require("./services/webhook-client");
+const {
+    BriefQueueWorker,
+    JOB_DEFERRED,
+} = require("./services/brief-queue-worker");
+const {
+    WEEKDAY_KEYS,
+    resolveDeliveryTime,
+    getDeliveryTimeForDate,
+    getPreviousDeliveryTime,
+    getActivePause,
+    getDeliveryJitterSeconds,
+    isValidTimezone,
+    validateWeeklySchedule,
+    hasDeliveryDays,
+} = require("./services/delivery-schedule");
+const {
+    DEFAULT_BRIEF_TYPE,
+    isValidBriefType,
+    getBriefTypeLabel,
+    getUserBriefSchedules,
+} = require("./services/brief-types");
+const {
+    getTimeOffBehavior,
+    detectTimeOff,
+    buildTimeOffNote,
+} = require("./services/time-off");
+const {
+    getTaskKey,
+    createUserDeliveryTask,
+    getDesiredSchedules,
+    getScheduleFingerprint,
+    getSkipReason,
+} = require("./services/delivery-tasks");
+const clock = require("./services/clock");
+
+// Store active delivery tasks
 const activeTasks = new Map();
 
-// Mutex to prevent concurrent syncs
+// Mutex to prevent concurrent syncs; a sync requested meanwhile runs after
 let syncInProgress = false;
-
-function convertToCronTime(timePreference, timezone) {
-    const [hours, minutes] = timePreference.split(":");
-
-    // Get today's date in the USER'S timezone, not UTC
-    const todayInUserTz = moment.tz(timezone).format("YYYY-MM-DD");
-
-    // Create the time in the user's timezone
-    const userTime = moment.tz(
-        `${todayInUserTz} ${hours}:${minutes}`,
-        "YYYY-MM-DD HH:mm",
-        timezone
+let syncRequested = false;
+
+// Spread deliveries that share a time over this many seconds (0 = off)
+const DELIVERY_JITTER_MAX_SECONDS = parseInt(
+    process.env.DELIVERY_JITTER_MAX_SECONDS || "0",
+    10
+);
+
+// Generate briefs this many minutes before delivery (0 = generate on time)
+const PREGENERATE_LEAD_MINUTES = parseInt(
+    process.env.PREGENERATE_LEAD_MINUTES || "0",
+    10
+);
+
+// How long shutdown waits for an in-progress delivery to finish
+const SHUTDOWN_DRAIN_TIMEOUT_MS = parseInt(
+    process.env.SHUTDOWN_DRAIN_TIMEOUT_MS || "20000",
+    10
+);
+
+// Briefs missed while the scheduler was down, or left in the queue, are
+// only sent this late
+const CATCH_UP_MAX_LATENESS_MINUTES = parseInt(
+    process.env.CATCH_UP_MAX_LATENESS_MINUTES || "120",
+    10
+);
+
+// Send a brief to a user for the delivery slot at `scheduledAt`, using the
+// pre-generated brief if there is one. Throws on delivery failure so the
+// queue can retry.
+async function deliverBrief(
+    user,
+    briefType = DEFAULT_BRIEF_TYPE,
+    scheduledAt = clock.now(),
+    prepared = null
+) {
+    // One brief per type per local day: the user's date, not the UTC date
+    const localDate = getLocalDateKey(user, scheduledAt);
+
+    // Double-check if already sent (important for reliability)
+    const alreadySent = await checkIfAlreadySent(
+        user.user_id,
+        briefType,
+        localDate
     );
+    if (alreadySent) {
+        console.log(
+            `⏭️ [SCHEDULER] ${briefType} brief for ${localDate} already sent for ${user.user_id}`
+        );
+        return "duplicate";
+    }
 
-    const utcTime = userTime.utc();
+    // Paused days are skipped; delivery resumes on its own once the pause ends
+    const pause = getActivePause(user, scheduledAt.setZone(user.timezone));
+    if (pause) {
+        console.log(
+            `⏸️ [SCHEDULER] Skipping ${briefType} brief for ${user.user_id} - paused ${
+                pause.start || "now"
+            } to ${pause.end || "further notice"}`
+        );
+        await logBriefSent(
+            user.user_id,
+            "paused",
+            pause.reason || null,
+            briefType,
+            localDate
+        );
+        return "paused";
+    }
 
     console.log(
-        `🕐 [TIMEZONE-DEBUG] Converting ${timePreference} ${timezone}:`
+        `📤 [SCHEDULER] Sending ${briefType} brief to user ${user.user_id} (email: ${user.user_email})`
     );
-    console.log(`   Today in ${timezone}: ${todayInUserTz}`);
-    console.log(`   User time: ${userTime.format("YYYY-MM-DD HH:mm:ss z")}`);
-    console.log(`   UTC time: ${utcTime.format("YYYY-MM-DD HH:mm:ss z")}`);
+
+    // Only proceed if we have a slack_user_id
+    if (!user.slack_user_id) {
+        console.warn(
+            `⚠️ [SCHEDULER] Skipping user ${user.user_id} - no slack_user_id configured`
+        );
+        await logBriefSent(
+            user.user_id,
+            "skipped",
+            "No slack_user_id configured",
+            briefType,
+            localDate
+        );
+        return "skipped";
+    }
+
+    console.log(`🔍 [SCHEDULER] Using Slack user ID: ${user.slack_user_id}`);
+
+    const timeOffResult = await handleTimeOff(user, briefType, scheduledAt);
+    if (timeOffResult) return timeOffResult;
+
+    // Send via webhook instead of direct Slack call; the brief is archived
+    const delivery = {
+        userId: user.user_id,
+        localDate,
+        scheduledAt: scheduledAt.toUTC().toISO(),
+        trigger: "scheduled",
+    };
+    const success = prepared
+        ? await sendPreparedBrief(
+              user.slack_user_id,
+              user.user_email,
+              prepared,
+              delivery
+          )
+        : await sendBriefViaWebhook(
+              user.slack_user_id,
+              user.user_email,
+              briefType,
+              delivery
+          );
+
+    if (!success) {
+        throw new Error("Failed to send via webhook");
+    }
+
+    await logBriefSent(user.user_id, "success", null, briefType, localDate);
     console.log(
-        `   Expected cron: ${utcTime.minutes()} ${utcTime.hours()} * * *`
+        `✅ [SCHEDULER] Successfully sent ${briefType} brief to ${user.user_id}`
     );
+    return "success";
+}
 
-    return `${utcTime.minutes()} ${utcTime.hours()} * * *`;
+// Idempotency date for a delivery slot: the slot's date in the user's
+// timezone (UTC if the user's timezone is unknown)
+function getLocalDateKey(user, scheduledAt) {
+    const zone = isValidTimezone(user?.timezone) ? user.timezone : "UTC";
+    return scheduledAt.setZone(zone).toISODate();
 }
 
-// Per-user cron job adapted for webhook communication
-function createUserCronJob(user) {
-    const cronExpression = convertToCronTime(user.delivery_time, user.timezone);
+// Skip the brief, or replace it with a short note, when the user's calendar
+// shows they are off. Returns the outcome, or null to send the brief.
+async function handleTimeOff(user, briefType, scheduledAt) {
+    const behavior = getTimeOffBehavior(user);
+    if (behavior === "ignore") return null;
+
+    const localDate = scheduledAt.setZone(user.timezone);
+    let timeOff = null;
+    try {
+        timeOff = await detectTimeOff(user, localDate);
+    } catch (error) {
+        // Calendar trouble should not cost the user their brief
+        console.warn(
+            `⚠️ [SCHEDULER] Could not check time off for ${user.user_id}:`,
+            error.message
+        );
+        return null;
+    }
+    if (!timeOff) return null;
+
+    if (behavior === "skip") {
+        console.log(
+            `🌴 [SCHEDULER] Skipping ${briefType} brief for ${user.user_id} - ${timeOff.reason}`
+        );
+        await logBriefSent(
+            user.user_id,
+            "skipped",
+            timeOff.reason,
+            briefType,
+            localDate.toISODate()
+        );
+        return "skipped";
+    }
 
     console.log(
-        `📅 [SCHEDULER] Scheduling brief for ${user.user_id} at ${cronExpression} (UTC) / ${user.delivery_time} (${user.timezone})`
+        `🌴 [SCHEDULER] Sending time-off note instead of ${briefType} brief to ${user.user_id} - ${timeOff.reason}`
     );
+    const success = await sendMessage(
+        user.slack_user_id,
+        buildTimeOffNote(getBriefTypeLabel(briefType), localDate, timeOff.reason)
+    );
+    if (!success) {
+        throw new Error("Failed to send time-off note via webhook");
+    }
 
-    const task = cron.schedule(
-        cronExpression,
-        async () => {
-            try {
-                // Double-check if already sent (important for reliability)
-                const alreadySent = await checkIfAlreadySent(user.user_id);
+    await logBriefSent(
+        user.user_id,
+        "time_off",
+        timeOff.reason,
+        briefType,
+        localDate.toISODate()
+    );
+    return "time_off";
+}
 
-                const sentRecently = await checkIfSentRecently(
-                    user.user_id,
-                    3000
-                );
-                if (!alreadySent && !sentRecently) {
-                    console.log(
-                        `📤 [SCHEDULER] Sending brief to user ${user.user_id} (email: ${user.user_email})`
-                    );
+// Process a claimed brief_queue job
+async function processBriefJob(job) {
+    const user = await getUserPreferences(job.user_id);
 
-                    // Only proceed if we have a slack_user_id
-                    if (!user.slack_user_id) {
-                        console.warn(
-                            `⚠️ [SCHEDULER] Skipping user ${user.user_id} - no slack_user_id configured`
-                        );
-                        await logBriefSent(
-                            user.user_id,
-                            "skipped",
-                            "No slack_user_id configured"
-                        );
-                        return;
-                    }
+    if (!user) {
+        console.warn(
+            `⚠️ [SCHEDULER] Dropping job ${job.id} - no preferences for ${job.user_id}`
+        );
+        return;
+    }
 
-                    console.log(
-                        `🔍 [SCHEDULER] Using Slack user ID: ${user.slack_user_id}`
-                    );
+    const scheduledAt = DateTime.fromISO(job.scheduled_at);
+
+    // Jobs left in the queue by an outage are held to the same cutoff as
+    // catch-up, so a morning brief does not go out in the afternoon
+    const minutesLate = (clock.nowMillis() - scheduledAt.toMillis()) / 60000;
+    if (minutesLate > CATCH_UP_MAX_LATENESS_MINUTES) {
+        const reason = `Too late: due ${scheduledAt.toISO()}, ${Math.round(
+            minutesLate
+        )} minutes ago (cutoff ${CATCH_UP_MAX_LATENESS_MINUTES})`;
+        console.warn(
+            `⏭️ [SCHEDULER] Skipping ${job.brief_type} job ${job.id} for ${job.user_id} - ${reason}`
+        );
+        await logBriefSent(
+            job.user_id,
+            "skipped",
+            reason,
+            job.brief_type,
+            getLocalDateKey(user, scheduledAt)
+        );
+        return;
+    }
 
-                    // Send via webhook instead of direct Slack call
-                    const success = await sendBriefViaWebhook(
-                        user.slack_user_id,
-                        user.user_email
-                    );
+    // Jobs prepared before briefs were structured hold rendered text in
+    // prepared_brief.content; generate those again rather than send them
+    let prepared = job.prepared_brief;
+    if (prepared && !prepared.brief) {
+        console.warn(
+            `⚠️ [SCHEDULER] Job ${job.id} has a pre-generated brief in an old format, generating it again`
+        );
+        prepared = null;
+    }
 
-                    // Log the result
-                    await logBriefSent(
-                        user.user_id,
-                        success ? "success" : "failed",
-                        success ? null : "Failed to send via webhook"
-                    );
+    // Lead-time mode: generate now, deliver at the scheduled minute. The
+    // one-minute margin stops clock skew with the database from sending a
+    // job released at its delivery time back through generation.
+    if (
+        PREGENERATE_LEAD_MINUTES > 0 &&
+        !prepared &&
+        scheduledAt > clock.now().plus({ minutes: 1 })
+    ) {
+        return await prepareBriefJob(user, job, scheduledAt);
+    }
 
-                    if (success) {
-                        console.log(
-                            `✅ [SCHEDULER] Successfully sent brief to ${user.user_id}`
-                        );
-                    } else {
-                        console.error(
-                            `❌ [SCHEDULER] Failed to send brief to ${user.user_id}`
-                        );
-                    }
-                } else {
-                    console.log(
-                        `⏭️ [SCHEDULER] Brief already sent (today or within cooldown) for ${user.user_id}`
-                    );
-                }
-            } catch (error) {
-                console.error(
-                    `❌ [SCHEDULER] Error sending brief to ${user.user_id}:`,
-                    error
-                );
-                await logBriefSent(user.user_id, "failed", error.message);
-            }
-        },
-        {
-            scheduled: false, // Don't start immediately
-            timezone: "UTC", // Always use UTC for cron jobs
+    await deliverBrief(user, job.brief_type, scheduledAt, prepared);
+}
+
+// Pre-generate a job's brief, store it on the job and hold the job until
+// its delivery time. If generation fails the job is still released, and the
+// brief is generated at delivery time as usual.
+async function prepareBriefJob(user, job, scheduledAt) {
+    let prepared = null;
+
+    const localDate = scheduledAt.setZone(user.timezone);
+    if (!user.slack_user_id || getActivePause(user, localDate)) {
+        console.log(
+            `⏭️ [SCHEDULER] Not pre-generating ${job.brief_type} brief for ${user.user_id} (paused or no slack_user_id)`
+        );
+    } else {
+        try {
+            prepared = await prepareBrief(
+                user.user_email,
+                job.brief_type,
+                scheduledAt
+            );
+            console.log(
+                `🧑‍🍳 [SCHEDULER] Pre-generated ${job.brief_type} brief for ${user.user_id}, delivering at ${scheduledAt.toISO()}`
+            );
+        } catch (error) {
+            console.warn(
+                `⚠️ [SCHEDULER] Pre-generation failed for ${user.user_id}, will generate at delivery:`,
+                error.message
+            );
         }
+    }
+
+    const saved = await saveJobPreparedBrief(
+        job,
+        prepared,
+        scheduledAt.toUTC().toISO()
+    );
+    if (!saved) {
+        throw new Error("Lost job lease while saving pre-generated brief");
+    }
+
+    // Wake the worker on the delivery minute rather than the next poll
+    clock.setTimeout(
+        () => queueWorker.poke(),
+        Math.max(0, scheduledAt.toMillis() - clock.nowMillis())
+    );
+    return JOB_DEFERRED;
+}
+
+// Record a brief that exhausted its retries
+async function handleDeadJob(job, error) {
+    console.error(
+        `❌ [SCHEDULER] Giving up on ${job.brief_type} brief for ${job.user_id}:`,
+        error.message
+    );
+
+    const user = await getUserPreferences(job.user_id);
+    await logBriefSent(
+        job.user_id,
+        "failed",
+        error.message,
+        job.brief_type,
+        getLocalDateKey(user, DateTime.fromISO(job.scheduled_at))
+    );
+}
+
+const queueWorker = new BriefQueueWorker(processBriefJob, handleDeadJob);
+
+// Put a due delivery on the queue and wake the worker. In lead-time mode the
+// job becomes ready PREGENERATE_LEAD_MINUTES early. With jitter enabled it is
+// held back by a fixed per-user offset.
+async function enqueueDelivery(user, briefType, scheduledAt) {
+    const jitterSeconds = getDeliveryJitterSeconds(
+        user.user_id,
+        briefType,
+        DELIVERY_JITTER_MAX_SECONDS
     );
+    const readyAt = scheduledAt
+        .minus({ minutes: PREGENERATE_LEAD_MINUTES })
+        .plus({ seconds: jitterSeconds });
+
+    const { error } = await enqueueDueBriefJobs([
+        {
+            user_id: user.user_id,
+            brief_type: briefType,
+            scheduled_at: scheduledAt.toUTC().toISO(),
+            ready_at: readyAt.toUTC().toISO(),
+        },
+    ]);
+
+    if (error) {
+        throw new Error(`Failed to enqueue brief: ${error.message}`);
+    }
 
-    return task;
+    console.log(
+        `📥 [SCHEDULER] Queued ${briefType} brief for ${user.user_id} (${scheduledAt.toISO()}${
+            jitterSeconds ? `, +${jitterSeconds}s jitter` : ""
+        })`
+    );
+    queueWorker.poke();
 }
 
 // Sync all schedules with Supabase
 async function syncAllSchedules() {
-    console.log("🔄 [SCHEDULER] Syncing schedules with Supabase...");
+    if (syncInProgress) {
+        console.log(
+            "⏳ [SCHEDULER] Sync already in progress, queueing another run"
+        );
+        syncRequested = true;
+        return;
+    }
 
+    syncInProgress = true;
     try {
-        // Stop all existing tasks
-        activeTasks.forEach((task, userId) => {
-            console.log(`⏹️ [SCHEDULER] Stopping existing task for ${userId}`);
-            task.stop();
+        do {
+            syncRequested = false;
+            await runSync();
+        } while (syncRequested);
+    } finally {
+        syncInProgress = false;
+    }
+}
+
+// Bring one user's tasks in line with their preferences row (null if the
+// row was deleted), touching only the tasks that changed
+function reconcileUser(userId, user) {
+    const desired = getDesiredSchedules(user);
+    const changes = { added: 0, removed: 0, rescheduled: 0 };
+
+    activeTasks.forEach((task, taskKey) => {
+        if (task.userId !== userId || desired.has(taskKey)) return;
+
+        console.log(`⏹️ [SCHEDULER] Removing task for ${taskKey}`);
+        task.stop();
+        activeTasks.delete(taskKey);
+        changes.removed++;
+    });
+
+    desired.forEach((schedule, taskKey) => {
+        const fingerprint = getScheduleFingerprint(schedule);
+        const existing = activeTasks.get(taskKey);
+        if (existing && existing.fingerprint === fingerprint) return;
+
+        if (existing) {
+            console.log(`🔁 [SCHEDULER] Rescheduling task for ${taskKey}`);
+            existing.stop();
+            changes.rescheduled++;
+        } else {
+            changes.added++;
+        }
+
+        const task = createUserDeliveryTask(user, schedule, enqueueDelivery, {
+            leadMinutes: PREGENERATE_LEAD_MINUTES,
         });
-        activeTasks.clear();
+        task.fingerprint = fingerprint;
+        task.start(); // Start the delivery task
+        activeTasks.set(taskKey, task);
 
-        // Get all active users
-        const users = await getActiveUsers();
-        console.log(`👥 [SCHEDULER] Found ${users.length} active users`);
+        console.log(
+            `✅ [SCHEDULER] Scheduled ${schedule.briefType} brief for ${userId} at ${schedule.delivery_time} (${user.timezone})`
+        );
+    });
 
-        // Create cron job for each user
-        for (const user of users) {
-            try {
-                // Validate required fields
-                if (!user.user_id || !user.delivery_time || !user.timezone) {
-                    console.warn(
-                        `⚠️ [SCHEDULER] Skipping user ${user.user_id} - missing required fields:`,
-                        {
-                            user_id: !!user.user_id,
-                            delivery_time: !!user.delivery_time,
-                            timezone: !!user.timezone,
-                            user_email: !!user.user_email,
-                        }
-                    );
-                    continue;
-                }
+    return changes;
+}
+
+// Diff all preferences against activeTasks
+async function runSync() {
+    console.log("🔄 [SCHEDULER] Syncing schedules with Supabase...");
+
+    try {
+        // Every row, so getDesiredSchedules decides who gets tasks
+        const users = await getAllUsers();
+        console.log(`👥 [SCHEDULER] Found ${users.length} users`);
 
-                const task = createUserCronJob(user);
-                task.start(); // Start the cron job
-                activeTasks.set(user.user_id, task);
+        const totals = { added: 0, removed: 0, rescheduled: 0 };
+        const userIds = new Set();
 
-                console.log(
-                    `✅ [SCHEDULER] Scheduled brief for ${user.user_id} at ${user.delivery_time} (${user.timezone})`
-                );
+        for (const user of users) {
+            try {
+                userIds.add(user.user_id);
+                const changes = reconcileUser(user.user_id, user);
+                totals.added += changes.added;
+                totals.removed += changes.removed;
+                totals.rescheduled += changes.rescheduled;
             } catch (error) {
                 console.error(
                     `❌ [SCHEDULER] Failed to schedule task for ${user.user_id}:`,
@@ -178,41 +493,267 @@ async function syncAllSchedules() {
             }
         }
 
+        // Users whose preferences are gone or no longer active
+        const staleUserIds = new Set();
+        activeTasks.forEach((task) => {
+            if (!userIds.has(task.userId)) staleUserIds.add(task.userId);
+        });
+        staleUserIds.forEach((userId) => {
+            totals.removed += reconcileUser(userId, null).removed;
+        });
+
         console.log(
-            `📊 [SCHEDULER] Successfully scheduled ${activeTasks.size} briefs`
+            `📊 [SCHEDULER] Sync complete: ${activeTasks.size} briefs scheduled (${totals.added} added, ${totals.rescheduled} rescheduled, ${totals.removed} removed)`
         );
     } catch (error) {
         console.error("❌ [SCHEDULER] Error syncing schedules:", error);
     }
 }
 
+// Apply a realtime user_preferences change to the affected user only
+function handlePreferenceChange(payload) {
+    const { eventType } = payload;
+    const newRow = payload.new && payload.new.user_id ? payload.new : null;
+    const oldRow = payload.old && payload.old.user_id ? payload.old : null;
+
+    console.log(
+        `🔔 [SCHEDULER] Preference ${eventType} for ${
+            (newRow || oldRow)?.user_id || "unknown user"
+        }`
+    );
+
+    // Deletes only carry the primary key unless REPLICA IDENTITY is FULL
+    if (!newRow && !oldRow) {
+        console.log(
+            "🔄 [SCHEDULER] Change has no user_id, falling back to full sync"
+        );
+        return syncAllSchedules();
+    }
+
+    if (oldRow && (!newRow || oldRow.user_id !== newRow.user_id)) {
+        reconcileUser(oldRow.user_id, null);
+    }
+    if (newRow) {
+        reconcileUser(newRow.user_id, eventType === "DELETE" ? null : newRow);
+    }
+
+    // A sync running now may have fetched rows from before this change
+    if (syncInProgress) syncRequested = true;
+}
+
+// Queue briefs whose delivery time passed while the scheduler was down
+async function catchUpMissedBriefs() {
+    console.log(
+        `🩹 [SCHEDULER] Checking for missed briefs (cutoff: ${CATCH_UP_MAX_LATENESS_MINUTES} minutes late)...`
+    );
+
+    let queued = 0;
+
+    try {
+        const users = await getActiveUsers();
+        const now = clock.nowMillis();
+
+        for (const user of users) {
+            if (!user.user_id || !isValidTimezone(user.timezone)) continue;
+
+            for (const schedule of getUserBriefSchedules(user)) {
+                try {
+                    if (!(schedule.delivery_time || schedule.weekly_schedule)) {
+                        continue;
+                    }
+
+                    const missedAt = getPreviousDeliveryTime(schedule);
+                    if (!missedAt) continue;
+
+                    const minutesLate = (now - missedAt.toMillis()) / 60000;
+                    if (minutesLate > CATCH_UP_MAX_LATENESS_MINUTES) continue;
+
+                    const alreadySent = await checkIfAlreadySent(
+                        user.user_id,
+                        schedule.briefType,
+                        getLocalDateKey(user, missedAt)
+                    );
+                    if (alreadySent) continue;
+
+                    console.log(
+                        `🩹 [SCHEDULER] ${schedule.briefType} brief for ${user.user_id} was due at ${missedAt.toISO()} (${Math.round(minutesLate)} minutes ago), sending late`
+                    );
+                    await enqueueDelivery(user, schedule.briefType, missedAt);
+                    queued++;
+                } catch (error) {
+                    console.error(
+                        `❌ [SCHEDULER] Failed to catch up ${schedule.briefType} brief for ${user.user_id}:`,
+                        error
+                    );
+                }
+            }
+        }
+    } catch (error) {
+        console.error("❌ [SCHEDULER] Error catching up missed briefs:", error);
+    }
+
+    console.log(`🩹 [SCHEDULER] Queued ${queued} missed briefs`);
+    return queued;
+}
+
 // Get scheduler status
 function getSchedulerStatus() {
     const status = {
         activeTasks: activeTasks.size,
+        queueWorker: queueWorker.getStats(),
         tasks: [],
     };
 
-    activeTasks.forEach((task, userId) => {
+    activeTasks.forEach((task) => {
         status.tasks.push({
-            userId: userId,
+            userId: task.userId,
+            briefType: task.briefType,
             running: task.running,
+            nextRun: task.nextRun ? task.nextRun.toISO() : null,
         });
     });
 
     return status;
 }
 
-// Stop all scheduled tasks
-function stopAllTasks() {
+// Longest stretch of days a schedule preview walks looking for deliveries
+const PREVIEW_MAX_DAYS = 60;
+
+// Preview upcoming deliveries for one user (or every user): the next
+// `count` delivery times in local time and UTC, why any of them or the days
+// between them will be skipped, and the outcome of the last run
+async function getSchedulePreview(userId = null, count = 5) {
+    let users;
+    if (userId) {
+        const user = await getUserPreferences(userId);
+        users = user ? [user] : [];
+    } else {
+        // Same rows as runSync, so users it skips show up with the reason
+        users = await getAllUsers();
+    }
+
+    const previews = [];
+    for (const user of users) {
+        for (const schedule of getUserBriefSchedules(user)) {
+            previews.push(await previewSchedule(user, schedule, count));
+        }
+    }
+
+    return previews;
+}
+
+// Preview one brief type for one user
+async function previewSchedule(user, schedule, count) {
+    const task = activeTasks.get(getTaskKey(user.user_id, schedule.briefType));
+    const preview = {
+        userId: user.user_id,
+        email: user.user_email,
+        briefType: schedule.briefType,
+        timezone: user.timezone,
+        scheduled: !!task?.running,
+        nextRun: task?.nextRun ? task.nextRun.toISO() : null,
+        jitterSeconds: getDeliveryJitterSeconds(
+            user.user_id,
+            schedule.briefType,
+            DELIVERY_JITTER_MAX_SECONDS
+        ),
+        timeOffBehavior: getTimeOffBehavior(user),
+        warnings: [],
+        upcoming: [],
+        lastRun: await getLastBriefRun(user.user_id, schedule.briefType),
+    };
+
+    if (!user.slack_user_id) {
+        preview.warnings.push("No slack_user_id configured");
+    }
+    if (!isValidTimezone(user.timezone)) {
+        preview.warnings.push(`Invalid timezone: ${user.timezone}`);
+        return preview;
+    }
+    try {
+        validateWeeklySchedule(schedule.weekly_schedule);
+    } catch (error) {
+        preview.warnings.push(error.message);
+        return preview;
+    }
+    if (!hasDeliveryDays(schedule)) {
+        preview.warnings.push("No delivery days in the weekly schedule");
+        return preview;
+    }
+
+    const now = clock.now().setZone(user.timezone);
+    let deliveries = 0;
+
+    // Walk day by day so days off show up alongside the deliveries
+    for (
+        let offset = 0;
+        offset < PREVIEW_MAX_DAYS && deliveries < count;
+        offset++
+    ) {
+        const localDate = now.startOf("day").plus({ days: offset });
+        const deliveryTime = getDeliveryTimeForDate(schedule, localDate);
+
+        if (!deliveryTime) {
+            preview.upcoming.push({
+                date: localDate.toISODate(),
+                status: "skipped",
+                skipReason: `Weekly schedule: off on ${
+                    WEEKDAY_KEYS[localDate.weekday - 1]
+                }`,
+            });
+            continue;
+        }
+
+        const deliverAt = resolveDeliveryTime(
+            localDate,
+            deliveryTime,
+            user.timezone
+        );
+        if (deliverAt <= now) continue;
+
+        const skipReason = getSkipReason(user, localDate);
+
+        preview.upcoming.push({
+            date: localDate.toISODate(),
+            local: deliverAt.toISO(),
+            utc: deliverAt.toUTC().toISO(),
+            status: skipReason ? "skipped" : "scheduled",
+            skipReason,
+        });
+        deliveries++;
+    }
+
+    return preview;
+}
+
+// Timer for the next hourly resync
+let hourlySyncTimer = null;
+
+// Resync at the top of every UTC hour, on the scheduler clock like the
+// delivery timers
+function scheduleHourlySync() {
+    const nextSync = clock.now().toUTC().startOf("hour").plus({ hours: 1 });
+    hourlySyncTimer = clock.setTimeout(async () => {
+        scheduleHourlySync();
+        console.log("🔄 [SCHEDULER] Hourly sync triggered");
+        await syncAllSchedules();
+    }, nextSync.toMillis() - clock.nowMillis());
+}
+
+// Stop all scheduled tasks and let the queue worker finish its current job
+async function stopAllTasks() {
     console.log("🛑 [SCHEDULER] Stopping all scheduled tasks...");
 
-    activeTasks.forEach((task, userId) => {
-        console.log(`⏹️ [SCHEDULER] Stopping task for ${userId}`);
+    clock.clearTimeout(hourlySyncTimer);
+    hourlySyncTimer = null;
+
+    activeTasks.forEach((task, taskKey) => {
+        console.log(`⏹️ [SCHEDULER] Stopping task for ${taskKey}`);
         task.stop();
     });
 
     activeTasks.clear();
+    await queueWorker.stop(SHUTDOWN_DRAIN_TIMEOUT_MS);
     console.log("✅ [SCHEDULER] All tasks stopped");
 }
 
@@ -232,26 +773,30 @@ async function initScheduler() {
         // Initial sync
         await syncAllSchedules();
 
+        // Start the queue worker; it also picks up jobs left pending or with
+        // an expired lease by a previous process
+        console.log("📬 [SCHEDULER] Starting brief queue worker...");
+        queueWorker.start();
+
+        // Send briefs that came due while we were down
+        await catchUpMissedBriefs();
+
         // Resync every hour (in case preferences changed)
         console.log("⏰ [SCHEDULER] Setting up hourly sync...");
-        const syncTask = cron.schedule(
-            "0 * * * *",
-            async () => {
-                console.log("🔄 [SCHEDULER] Hourly sync triggered");
-                await syncAllSchedules();
-            },
-            {
-                timezone: "UTC",
-            }
-        );
+        scheduleHourlySync();
 
         // Subscribe to real-time changes (optional but nice)
         try {
             const subscription = subscribeToPreferenceChanges(
                 async (payload) => {
-                    console.log("🔔 [SCHEDULER] Preference changed:", payload);
-                    // Resync when preferences change
-                    await syncAllSchedules();
+                    try {
+                        await handlePreferenceChange(payload);
+                    } catch (error) {
+                        console.error(
+                            "❌ [SCHEDULER] Error applying preference change:",
+                            error
+                        );
+                    }
                 }
             );
 
@@ -279,10 +824,16 @@ async function initScheduler() {
 }
 
 // Manually trigger a brief for testing
-async function triggerTestBrief(userId) {
-    console.log(`🧪 [SCHEDULER] Triggering test brief for ${userId}`);
+async function triggerTestBrief(userId, briefType = DEFAULT_BRIEF_TYPE) {
+    console.log(
+        `🧪 [SCHEDULER] Triggering test ${briefType} brief for ${userId}`
+    );
 
     try {
+        if (!isValidBriefType(briefType)) {
+            throw new Error(`Unknown brief type: ${briefType}`);
+        }
+
         const users = await getActiveUsers();
         const user = users.find((u) => u.user_id === userId);
 
@@ -297,7 +848,9 @@ async function triggerTestBrief(userId) {
 
         const success = await sendBriefViaWebhook(
             user.slack_user_id,
-            user.user_email
+            user.user_email,
+            briefType,
+            { userId, trigger: "test" }
         );
 
         if (success) {
@@ -322,6 +875,7 @@ module.exports = {
     initScheduler,
     syncAllSchedules,
     getSchedulerStatus,
+    getSchedulePreview,
     stopAllTasks,
     triggerTestBrief,
 };
@@ -0,0 +1,143 @@
+// action-items.js
+const { DateTime } = require("luxon");
+
+// Action items are pulled out of important threads by the AI and stored per
+// user (action_items table). Open items are carried into every brief until
+// the user replies in the thread, resolves them, or they expire.
+
+const MAX_ACTION_ITEMS_PER_BRIEF = 10;
+
+// Items stay open this long after their due date...
+const ACTION_ITEM_OVERDUE_DAYS = parseInt(
+    process.env.ACTION_ITEM_OVERDUE_DAYS || "3",
+    10
+);
+// ...or, without a due date, this long after they were found
+const ACTION_ITEM_MAX_AGE_DAYS = parseInt(
+    process.env.ACTION_ITEM_MAX_AGE_DAYS || "14",
+    10
+);
+
+/**
+ * Key that identifies an item across briefs: its thread and wording
+ */
+function getActionItemKey(threadKey, text) {
+    const words = String(text || "")
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, " ")
+        .trim();
+    return `${threadKey}|${words}`;
+}
+
+/**
+ * When an item stops being carried into briefs
+ */
+function getActionItemExpiry(dueDate, now, timezone) {
+    if (dueDate) {
+        return DateTime.fromISO(dueDate, { zone: timezone })
+            .endOf("day")
+            .plus({ days: ACTION_ITEM_OVERDUE_DAYS });
+    }
+    return now.plus({ days: ACTION_ITEM_MAX_AGE_DAYS });
+}
+
+/**
+ * Turn the AI's extracted items ({ text, due, thread }) into action_items
+ * rows. Items must point at the thread link of one of `emails`; others are
+ * dropped, as are invalid due dates.
+ */
+function buildActionItems(
+    extracted,
+    emails,
+    { userId, now, timezone, getEmailId }
+) {
+    const byLink = new Map();
+    for (const email of emails || []) {
+        if (email.threadLink && !byLink.has(email.threadLink)) {
+            byLink.set(email.threadLink, email);
+        }
+    }
+
+    const rows = new Map();
+    for (const item of Array.isArray(extracted) ? extracted : []) {
+        const text = String(item?.text || "").trim();
+        const email = byLink.get(item?.thread);
+        if (!text || !email) continue;
+
+        const due =
+            item.due && DateTime.fromISO(item.due, { zone: timezone }).isValid
+                ? DateTime.fromISO(item.due, { zone: timezone }).toISODate()
+                : null;
+        const key = getActionItemKey(email.threadId || getEmailId(email), text);
+
+        rows.set(key, {
+            user_id: userId,
+            item_key: key,
+            text,
+            due_date: due,
+            thread_link: email.threadLink,
+            thread_id: email.threadId || null,
+            subject: email.subject || null,
+            sender: email.from || null,
+            status: "open",
+            created_at: now.toUTC().toISO(),
+            expires_at: getActionItemExpiry(due, now, timezone).toUTC().toISO(),
+        });
+    }
+
+    return [...rows.values()].slice(0, MAX_ACTION_ITEMS_PER_BRIEF);
+}
+
+/**
+ * Due date as shown in a brief: "due today", "due Thu, Oct 22", or overdue
+ */
+function describeDueDate(dueDate, today) {
+    if (!dueDate) return "no due date";
+
+    const due = DateTime.fromISO(dueDate, { zone: today.zone });
+    const days = Math.round(due.diff(today.startOf("day"), "days").days);
+    if (days < 0) return `⚠️ overdue (due ${due.toFormat("EEE, MMM d")})`;
+    if (days === 0) return "due today";
+    if (days === 1) return "due tomorrow";
+    return `due ${due.toFormat("EEE, MMM d")}`;
+}
+
+/**
+ * Brief section items for open action items: dated items first, soonest
+ * first, each linking to its thread
+ */
+function describeActionItems(items, today) {
+    const todayDate = today.toISODate();
+    return [...(items || [])]
+        .sort((a, b) =>
+            (a.due_date || "9999").localeCompare(b.due_date || "9999")
+        )
+        .slice(0, MAX_ACTION_ITEMS_PER_BRIEF)
+        .map((item) => {
+            const since = DateTime.fromISO(item.created_at).setZone(today.zone);
+            const details = [];
+            if (item.subject) {
+                details.push(
+                    `From: ${item.subject}${
+                        item.sender ? ` (${item.sender})` : ""
+                    }`
+                );
+            }
+            if (since.isValid && since.toISODate() < todayDate) {
+                details.push(`Open since ${since.toFormat("MMM d")}`);
+            }
+
+            return {
+                text: item.text,
+                meta: describeDueDate(item.due_date, today),
+                link: { url: item.thread_link, label: "View Thread" },
+                details,
+            };
+        });
+}
+
+module.exports = {
+    buildActionItems,
+    describeDueDate,
+    describeActionItems,
+};
@@ -0,0 +1,264 @@
+// brief-diff.js
+const { DateTime } = require("luxon");
+
+// Compares the data gathered for a brief with the snapshot kept from the
+// user's previous brief (brief.generation.snapshot, stored in brief_archive):
+// - meetings on the brief's day that are new, moved or no longer there
+// - important and VIP threads from the previous brief still unanswered
+// - VIP emails the previous brief did not have
+
+const MAX_UNANSWERED_THREADS = 5;
+
+/**
+ * Compact copy of an event for a snapshot
+ */
+function snapshotEvent(event) {
+    return {
+        id: event.id,
+        summary: event.summary || "(no title)",
+        start: event.start?.dateTime || event.start?.date || null,
+        status: event.status || "confirmed",
+    };
+}
+
+/**
+ * Compact copy of an email thread for a snapshot
+ */
+function snapshotThread(email, id, vip) {
+    return {
+        id,
+        threadId: email.threadId || null,
+        subject: email.subject || "(no subject)",
+        from: email.from || null,
+        threadLink: email.threadLink || null,
+        vip,
+    };
+}
+
+/**
+ * Local date (yyyy-MM-dd) a snapshot event starts on
+ */
+function getStartDate(start, timezone) {
+    if (!start) return null;
+    if (/^\d{4}-\d{2}-\d{2}$/.test(start)) return start;
+    return DateTime.fromISO(start).setZone(timezone).toISODate();
+}
+
+/**
+ * Whether the previous snapshot saw the whole of `date`: it was taken on that
+ * day, or its upcoming events reach past it
+ */
+function knewWholeDay(previous, date, timezone) {
+    if (previous.date === date || previous.upcomingComplete) return true;
+
+    const upcoming = previous.upcomingEvents || [];
+    const lastDate = getStartDate(
+        upcoming[upcoming.length - 1]?.start,
+        timezone
+    );
+    return !!lastDate && lastDate > date;
+}
+
+/**
+ * Normalized subject, for matching threads when Gmail thread ids are missing
+ */
+function normalizeSubject(subject) {
+    return String(subject || "")
+        .toLowerCase()
+        .replace(/^((re|fwd?|fw)\s*:\s*)+/i, "")
+        .trim();
+}
+
+/**
+ * Threads the user has replied to, from their sent mail
+ */
+function getRepliedThreads(sentEmails) {
+    const threadIds = new Set();
+    const subjects = new Set();
+    for (const email of sentEmails || []) {
+        if (email.threadId) threadIds.add(email.threadId);
+        subjects.add(normalizeSubject(email.subject));
+    }
+    return (thread) =>
+        thread.threadId
+            ? threadIds.has(thread.threadId)
+            : subjects.has(normalizeSubject(thread.subject));
+}
+
+/**
+ * Compare the current snapshot with the previous brief's. `sentEmails` is
+ * the user's sent mail since the previous brief, or null if it could not be
+ * fetched. Data missing on either side (null events or threads) is not
+ * compared. Returns null without a previous snapshot, otherwise
+ * { since, newMeetings, movedMeetings, removedMeetings, unansweredThreads, newVipEmails }.
+ */
+function diffSnapshots(previous, current, sentEmails = []) {
+    if (!previous || !current) return null;
+
+    const changes = {
+        since: previous.takenAt || null,
+        newMeetings: [],
+        movedMeetings: [],
+        removedMeetings: [],
+        unansweredThreads: [],
+        newVipEmails: [],
+    };
+
+    if (previous.events && current.events && current.date) {
+        Object.assign(changes, diffMeetings(previous, current));
+    }
+
+    if (previous.threads && sentEmails) {
+        const isReplied = getRepliedThreads(sentEmails);
+        changes.unansweredThreads = previous.threads
+            .filter((thread) => !isReplied(thread))
+            .slice(0, MAX_UNANSWERED_THREADS);
+    }
+
+    if (previous.threads && current.threads) {
+        const seenIds = new Set([
+            ...(previous.importantEmailIds || []),
+            ...previous.threads.map((thread) => thread.id),
+        ]);
+        changes.newVipEmails = current.threads.filter(
+            (thread) => thread.vip && !seenIds.has(thread.id)
+        );
+    }
+
+    return changes;
+}
+
+/**
+ * New, moved and removed meetings on the current snapshot's day
+ */
+function diffMeetings(previous, current) {
+    const timezone = current.timezone;
+    const previousEvents = new Map(
+        [...previous.events, ...(previous.upcomingEvents || [])].map(
+            (event) => [event.id, event]
+        )
+    );
+    const previousToday =
+        previous.date === current.date
+            ? previous.events
+            : (previous.upcomingEvents || []).filter(
+                  (event) =>
+                      getStartDate(event.start, timezone) === current.date
+              );
+
+    const currentToday = new Map(
+        current.events.map((event) => [event.id, event])
+    );
+    const currentUpcoming = new Map(
+        (current.upcomingEvents || []).map((event) => [event.id, event])
+    );
+
+    const newMeetings = [];
+    const movedMeetings = [];
+    const removedMeetings = [];
+    const knewToday = knewWholeDay(previous, current.date, timezone);
+
+    for (const event of current.events) {
+        if (event.status === "cancelled") continue;
+
+        const known = previousEvents.get(event.id);
+        if (!known) {
+            if (knewToday) newMeetings.push(event);
+        } else if (known.start !== event.start) {
+            movedMeetings.push({ ...event, previousStart: known.start });
+        }
+    }
+
+    for (const known of previousToday) {
+        if (known.status === "cancelled") continue;
+
+        const today = currentToday.get(known.id);
+        const later = currentUpcoming.get(known.id);
+        if (today?.status === "cancelled" || later?.status === "cancelled") {
+            removedMeetings.push({ ...known, cancelled: true });
+        } else if (!today && later) {
+            movedMeetings.push({ ...later, previousStart: known.start });
+        } else if (!today) {
+            removedMeetings.push({ ...known, cancelled: false });
+        }
+    }
+
+    return { newMeetings, movedMeetings, removedMeetings };
+}
+
+/**
+ * Check whether a diff found anything worth mentioning
+ */
+function hasChanges(changes) {
+    return (
+        !!changes &&
+        [
+            changes.newMeetings,
+            changes.movedMeetings,
+            changes.removedMeetings,
+            changes.unansweredThreads,
+            changes.newVipEmails,
+        ].some((list) => list.length > 0)
+    );
+}
+
+/**
+ * Human time for a snapshot start, with the day when it is not `date`
+ */
+function formatStart(start, timezone, date) {
+    if (!start) return "time unknown";
+    if (/^\d{4}-\d{2}-\d{2}$/.test(start)) {
+        return start === date
+            ? "all day"
+            : `${DateTime.fromISO(start).toFormat("EEE, MMM d")} (all day)`;
+    }
+
+    const time = DateTime.fromISO(start).setZone(timezone);
+    return time.toISODate() === date
+        ? time.toFormat("h:mm a")
+        : time.toFormat("EEE, MMM d, h:mm a");
+}
+
+/**
+ * Describe a diff as { text, meta, link } entries, one per change
+ */
+function describeChanges(changes, timezone, date) {
+    if (!hasChanges(changes)) return [];
+
+    const at = (start) => formatStart(start, timezone, date);
+    return [
+        ...changes.newMeetings.map((event) => ({
+            text: `🆕 New meeting: ${event.summary}`,
+            meta: at(event.start),
+        })),
+        ...changes.movedMeetings.map((event) => ({
+            text: `🔀 Moved: ${event.summary}`,
+            meta: `${at(event.previousStart)} → ${at(event.start)}`,
+        })),
+        ...changes.removedMeetings.map((event) => ({
+            text: event.cancelled
+                ? `❌ Cancelled: ${event.summary}`
+                : `❌ No longer on today's calendar: ${event.summary}`,
+            meta: `was ${at(event.start)}`,
+        })),
+        ...changes.newVipEmails.map((thread) => ({
+            text: `⭐ New VIP email: ${thread.subject}`,
+            meta: `from: ${thread.from}`,
+            link: thread.threadLink,
+        })),
+        ...changes.unansweredThreads.map((thread) => ({
+            text: `⏳ Still unanswered: ${thread.subject}`,
+            meta: `from: ${thread.from}`,
+            link: thread.threadLink,
+        })),
+    ];
+}
+
+module.exports = {
+    snapshotEvent,
+    snapshotThread,
+    getRepliedThreads,
+    diffSnapshots,
+    hasChanges,
+    describeChanges,
+};
@@ -0,0 +1,121 @@
+// brief-model.js
+
+// A brief is built as a plain object and rendered per delivery channel by
+// brief-renderers.js. It is stored as JSON (e.g. brief_queue.prepared_brief),
+// so it holds no class instances or functions:
+//
+// {
+//   type: "morning",
+//   title: "Daily Brief",
+//   date: "Monday, October 19, 2026",
+//   timezone: "America/New_York",
+//   generatedAt: "2026-10-19T12:00:00.000Z",
+//   source: "ai",                      // "template" when built without the AI
+//   period: {                          // the email window the brief covers
+//     start: "2026-10-16T21:30:00.000Z", end: "2026-10-19T12:00:00.000Z",
+//     label: "Email since Fri, Oct 16, 5:30 PM",
+//   },
+//   notice: null,                      // shown above the sections, e.g. degraded data
+//   sections: [{
+//     id: "email", emoji: "📧", title: "Email Brief",
+//     summary: "3 unread, 1 important", // optional line under the title
+//     ordered: false,                   // numbered list instead of bullets
+//     items: [{ text, meta, link: { url, label }, details: [string] }],
+//   }],
+//   footer: null,
+//   generation: {                      // not rendered; kept for the archive
+//     model: "claude-3-5-sonnet-20241022",  // null for template briefs
+//     usage: { input_tokens: 2100, output_tokens: 640 },
+//     sources: { emailIds: [...], eventIds: [...] },
+//     snapshot: { ... },               // compared by the next brief, see brief-diff.js
+//     actionItems: [{ text, due, thread }], // extracted by the AI, see action-items.js
+//   },
+// }
+
+/**
+ * Create an empty brief
+ */
+function createBrief({
+    type,
+    title,
+    date,
+    timezone,
+    generatedAt,
+    source = "ai",
+    period = null,
+    notice = null,
+    footer = null,
+    generation = null,
+}) {
+    return {
+        type,
+        title,
+        date,
+        timezone,
+        generatedAt,
+        source,
+        period,
+        notice,
+        sections: [],
+        footer,
+        generation,
+    };
+}
+
+/**
+ * Create a section; `items` may be item objects or plain strings
+ */
+function createSection(
+    id,
+    emoji,
+    title,
+    { summary = null, ordered = false, items = [] } = {}
+) {
+    return {
+        id,
+        emoji,
+        title,
+        summary,
+        ordered,
+        items: items.map((item) =>
+            typeof item === "string"
+                ? createItem(item)
+                : createItem(item.text, item)
+        ),
+    };
+}
+
+/**
+ * Create a list item. `link` may be a URL string or { url, label }.
+ */
+function createItem(text, { meta = null, link = null, details = [] } = {}) {
+    let normalizedLink = null;
+    if (typeof link === "string" && link) {
+        normalizedLink = { url: link, label: "Open" };
+    } else if (link && link.url) {
+        normalizedLink = { url: link.url, label: link.label || "Open" };
+    }
+
+    return {
+        text: String(text || "").trim(),
+        meta: meta || null,
+        link: normalizedLink,
+        details: Array.isArray(details)
+            ? details.filter(Boolean).map(String)
+            : [],
+    };
+}
+
+/**
+ * Copy a brief with an extra section at the end
+ */
+function appendSection(brief, section) {
+    return { ...brief, sections: [...brief.sections, section] };
+}
+
+module.exports = {
+    createBrief,
+    createSection,
+    createItem,
+    appendSection,
+};
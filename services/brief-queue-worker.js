@@ -0,0 +1,283 @@
+// brief-queue-worker.js
+const os = require("os");
+const {
+    fetchNextBriefJobs,
+    markJobProcessing,
+    renewJobLease,
+    completeJob,
+    failJob,
+} = require("../handlers/supabase-helper");
+const clock = require("./clock");
+
+// Number of recent queue waits kept for the wait-time stats
+const WAIT_SAMPLE_SIZE = 200;
+
+// Returned by processJob when it has put the job back on the queue itself
+// (e.g. after pre-generating a brief), so it must not be completed
+const JOB_DEFERRED = Symbol("JOB_DEFERRED");
+
+class BriefQueueWorker {
+    /**
+     * @param {Function} processJob - async (job) => void | JOB_DEFERRED, throws to retry
+     * @param {Function} onDeadLetter - async (job, error) => void
+     */
+    constructor(processJob, onDeadLetter = async () => {}) {
+        this.processJob = processJob;
+        this.onDeadLetter = onDeadLetter;
+        this.workerId = `${os.hostname()}:${process.pid}`;
+
+        this.pollIntervalMs = parseInt(process.env.BRIEF_QUEUE_POLL_MS || "5000", 10);
+        this.concurrency = parseInt(process.env.BRIEF_QUEUE_CONCURRENCY || "3", 10);
+        this.leaseSeconds = parseInt(process.env.BRIEF_QUEUE_LEASE_SECONDS || "600", 10);
+        this.maxAttempts = parseInt(process.env.BRIEF_QUEUE_MAX_ATTEMPTS || "5", 10);
+        this.retryBaseSeconds = parseInt(process.env.BRIEF_QUEUE_RETRY_BASE_SECONDS || "60", 10);
+        this.retryMaxSeconds = parseInt(process.env.BRIEF_QUEUE_RETRY_MAX_SECONDS || "1800", 10);
+
+        this.timer = null;
+        this.polling = false;
+        this.pollAgain = false;
+        this.running = new Set(); // promises of jobs in progress
+
+        this.stats = {
+            queueDepth: null,
+            lastPollAt: null,
+            completed: 0,
+            retried: 0,
+            deadLettered: 0,
+            waitsMs: [],
+        };
+
+        console.log(`📬 [QUEUE-WORKER] Initialized worker ${this.workerId} (poll: ${this.pollIntervalMs}ms, concurrency: ${this.concurrency}, max attempts: ${this.maxAttempts})`);
+    }
+
+    /**
+     * Start polling the queue
+     */
+    start() {
+        if (this.timer) return;
+
+        this.schedulePoll();
+        this.poll();
+    }
+
+    /**
+     * Arm the next poll on the scheduler clock, re-arming after each one
+     */
+    schedulePoll() {
+        this.timer = clock.setTimeout(() => {
+            this.schedulePoll();
+            this.poll();
+        }, this.pollIntervalMs);
+    }
+
+    /**
+     * Stop claiming new jobs and wait up to `drainTimeoutMs` for jobs in
+     * progress to finish. A job still running after that keeps its lease and
+     * is picked up by another worker once the lease expires.
+     */
+    async stop(drainTimeoutMs = 0) {
+        clock.clearTimeout(this.timer);
+        this.timer = null;
+
+        if (this.running.size === 0 || drainTimeoutMs <= 0) return;
+
+        console.log(`⏳ [QUEUE-WORKER] Waiting up to ${drainTimeoutMs}ms for ${this.running.size} in-progress jobs...`);
+        let drainTimer;
+        await Promise.race([
+            Promise.all(this.running),
+            new Promise((resolve) => {
+                drainTimer = clock.setTimeout(resolve, drainTimeoutMs);
+            }),
+        ]);
+        clock.clearTimeout(drainTimer);
+    }
+
+    /**
+     * Poll immediately, e.g. right after enqueueing a due job
+     */
+    poke() {
+        if (this.timer) this.poll();
+    }
+
+    /**
+     * Claim ready jobs into free worker slots until none are left
+     */
+    async poll() {
+        if (this.polling) {
+            this.pollAgain = true;
+            return;
+        }
+
+        this.polling = true;
+        try {
+            do {
+                this.pollAgain = false;
+
+                const freeSlots = this.concurrency - this.running.size;
+                if (freeSlots <= 0) break;
+
+                const { jobs, depth } = await fetchNextBriefJobs(freeSlots);
+                this.stats.queueDepth = depth;
+                this.stats.lastPollAt = clock.nowISO();
+
+                for (const job of jobs) {
+                    // A job whose lease keeps expiring (e.g. it crashes the
+                    // process) has no catch to dead-letter it, so do it here
+                    if (job.status === "processing" && this.getAttempt(job) >= this.maxAttempts) {
+                        await this.deadLetterAbandoned(job);
+                        continue;
+                    }
+
+                    const claimed = await markJobProcessing(job, this.workerId, this.leaseSeconds);
+                    if (!claimed) {
+                        console.log(`⏭️ [QUEUE-WORKER] Job ${job.id} claimed by another worker`);
+                        continue;
+                    }
+
+                    this.recordWait(claimed);
+
+                    // Slots free up as jobs finish; poll again to refill them
+                    const run = this.runJob(claimed).finally(() => {
+                        this.running.delete(run);
+                        this.poke();
+                    });
+                    this.running.add(run);
+                }
+
+                if (jobs.length === freeSlots) this.pollAgain = true;
+            } while (this.pollAgain && this.timer);
+        } catch (error) {
+            console.error("❌ [QUEUE-WORKER] Error polling queue:", error);
+        } finally {
+            this.polling = false;
+        }
+    }
+
+    /**
+     * Run a claimed job, then complete, retry or dead-letter it
+     */
+    async runJob(job) {
+        const attempt = this.getAttempt(job);
+        console.log(`📬 [QUEUE-WORKER] Processing ${job.brief_type} job ${job.id} for ${job.user_id} (attempt ${attempt}/${this.maxAttempts})`);
+
+        // Keep the lease alive while the brief is generated and sent, so a
+        // slow job is not reclaimed and delivered twice by another replica
+        const heartbeatMs = (this.leaseSeconds * 1000) / 3;
+        let heartbeat;
+        const renewLease = async () => {
+            heartbeat = clock.setTimeout(renewLease, heartbeatMs);
+            const held = await renewJobLease(job, this.workerId, this.leaseSeconds);
+            if (!held) {
+                console.error(`❌ [QUEUE-WORKER] Lost lease on job ${job.id}; another worker may retry it`);
+            }
+        };
+        heartbeat = clock.setTimeout(renewLease, heartbeatMs);
+
+        try {
+            const result = await this.processJob(job);
+            if (result === JOB_DEFERRED) {
+                console.log(`⏸️ [QUEUE-WORKER] Job ${job.id} deferred until ${job.scheduled_at}`);
+                return;
+            }
+
+            await completeJob(job);
+            this.stats.completed++;
+            console.log(`✅ [QUEUE-WORKER] Completed job ${job.id}`);
+        } catch (error) {
+            if (attempt >= this.maxAttempts) {
+                console.error(`💀 [QUEUE-WORKER] Job ${job.id} failed ${attempt} times, moving to dead letter:`, error.message);
+                await failJob(job, error.message, { dead: true });
+                this.stats.deadLettered++;
+                await this.onDeadLetter(job, error);
+                return;
+            }
+
+            const delaySeconds = this.getRetryDelaySeconds(attempt);
+            const nextAttemptAt = clock.now().plus({ seconds: delaySeconds }).toUTC().toISO();
+
+            console.warn(`⏳ [QUEUE-WORKER] Job ${job.id} failed (attempt ${attempt}), retrying in ${delaySeconds}s:`, error.message);
+            await failJob(job, error.message, { nextAttemptAt });
+            this.stats.retried++;
+        } finally {
+            clock.clearTimeout(heartbeat);
+        }
+    }
+
+    /**
+     * Dead-letter a job whose last allowed attempt never finished
+     */
+    async deadLetterAbandoned(job) {
+        const attempt = this.getAttempt(job);
+        const message = `Lease expired on attempt ${attempt}/${this.maxAttempts} without the job finishing`;
+        if (!(await failJob(job, message, { dead: true }))) return;
+
+        console.error(`💀 [QUEUE-WORKER] Job ${job.id} abandoned ${attempt} times, moving to dead letter`);
+        this.stats.deadLettered++;
+        await this.onDeadLetter(job, new Error(message));
+    }
+
+    /**
+     * Record how long a job waited between becoming ready and being claimed
+     */
+    recordWait(job) {
+        const readyAt = Date.parse(job.next_attempt_at || job.scheduled_at);
+        if (isNaN(readyAt)) return;
+
+        const waitMs = Math.max(0, clock.nowMillis() - readyAt);
+        this.stats.waitsMs.push(waitMs);
+        if (this.stats.waitsMs.length > WAIT_SAMPLE_SIZE) {
+            this.stats.waitsMs.shift();
+        }
+
+        console.log(`⏱️ [QUEUE-WORKER] Job ${job.id} waited ${Math.round(waitMs / 1000)}s in queue (depth: ${this.stats.queueDepth ?? "unknown"})`);
+    }
+
+    /**
+     * Pool and queue metrics for sizing the concurrency limit
+     */
+    getStats() {
+        const waits = [...this.stats.waitsMs].sort((a, b) => a - b);
+        const percentile = (p) =>
+            waits.length ? waits[Math.min(waits.length - 1, Math.floor(waits.length * p))] : null;
+
+        return {
+            workerId: this.workerId,
+            running: !!this.timer,
+            concurrency: this.concurrency,
+            inProgress: this.running.size,
+            queueDepth: this.stats.queueDepth,
+            lastPollAt: this.stats.lastPollAt,
+            completed: this.stats.completed,
+            retried: this.stats.retried,
+            deadLettered: this.stats.deadLettered,
+            waitMs: {
+                samples: waits.length,
+                avg: waits.length ? Math.round(waits.reduce((sum, ms) => sum + ms, 0) / waits.length) : null,
+                p50: percentile(0.5),
+                p95: percentile(0.95),
+                max: waits.length ? waits[waits.length - 1] : null,
+            },
+        };
+    }
+
+    /**
+     * The job's attempt number in its current phase. `attempts` counts every
+     * claim (it fences them), so the attempts spent pre-generating the brief
+     * are taken off to give delivery its own budget.
+     */
+    getAttempt(job) {
+        return job.attempts - (job.generation_attempts || 0);
+    }
+
+    /**
+     * Exponential backoff for a job that has failed `attempts` times
+     */
+    getRetryDelaySeconds(attempts) {
+        return Math.min(this.retryBaseSeconds * Math.pow(2, attempts - 1), this.retryMaxSeconds);
+    }
+}
+
+module.exports = {
+    BriefQueueWorker,
+    JOB_DEFERRED
+};
@@ -0,0 +1,420 @@
+// brief-renderers.js
+
+// Turn a structured brief (see brief-model.js) into the native format of each
+// delivery channel: Slack mrkdwn, Slack Block Kit, HTML email and plain text.
+
+// Slack limits: text lengths, context elements and blocks per message
+const SLACK_SECTION_TEXT_LIMIT = 3000;
+const SLACK_HEADER_TEXT_LIMIT = 150;
+const SLACK_BUTTON_TEXT_LIMIT = 75;
+const SLACK_CONTEXT_ELEMENT_LIMIT = 10;
+const SLACK_MAX_BLOCKS = 50;
+
+const BRIEF_FORMATS = ["mrkdwn", "blocks", "html", "text"];
+
+/**
+ * Escape the characters Slack treats as control sequences
+ */
+function escapeSlack(text) {
+    return String(text)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;");
+}
+
+/**
+ * Escape text for HTML element content and attributes
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+}
+
+/**
+ * An item's link, or null unless it is an http(s) URL. Other schemes
+ * (javascript:, mailto:, ...) are dropped rather than rendered.
+ */
+function getSafeLink(item) {
+    if (!item.link || !/^https?:\/\//i.test(String(item.link.url))) {
+        return null;
+    }
+    return item.link;
+}
+
+function getHeading(brief) {
+    return `${brief.title} - ${brief.date}`;
+}
+
+function getSectionHeading(section) {
+    return [section.emoji, section.title].filter(Boolean).join(" ");
+}
+
+/**
+ * Slack mrkdwn lines for a section: bold title, summary, then items
+ */
+function renderSlackSection(section) {
+    const lines = [];
+    if (section.title) {
+        lines.push(`*${escapeSlack(getSectionHeading(section))}*`);
+    }
+    if (section.summary) lines.push(escapeSlack(section.summary));
+    lines.push(...renderSlackItems(section));
+    return lines;
+}
+
+/**
+ * Slack mrkdwn lines for one section's items
+ */
+function renderSlackItems(section) {
+    const lines = [];
+
+    section.items.forEach((item, index) => {
+        const marker = section.ordered ? `${index + 1}.` : "•";
+        const parts = [escapeSlack(item.text)];
+        if (item.meta) parts.push(escapeSlack(item.meta));
+        const link = getSafeLink(item);
+        if (link) {
+            parts.push(
+                `<${escapeSlack(link.url)}|${escapeSlack(link.label)}>`
+            );
+        }
+
+        lines.push(`${marker} ${parts.join(" | ")}`);
+        item.details.forEach((detail) => {
+            lines.push(`      ◦ ${escapeSlack(detail)}`);
+        });
+    });
+
+    return lines;
+}
+
+/**
+ * Slack mrkdwn message text
+ */
+function renderMrkdwn(brief) {
+    let text = `🍑 *${escapeSlack(getHeading(brief))}*\n`;
+    if (brief.period) text += `_${escapeSlack(brief.period.label)}_\n`;
+    text += "\n";
+
+    if (brief.notice) {
+        text += `⚠️ *Notice: ${escapeSlack(brief.notice)}*\n\n`;
+    }
+
+    for (const section of brief.sections) {
+        text += `${renderSlackSection(section).join("\n")}\n\n`;
+    }
+
+    if (brief.footer) {
+        text += `💡 _${escapeSlack(brief.footer)}_`;
+    }
+
+    return text.trimEnd();
+}
+
+/**
+ * Split lines into chunks that fit in one Slack section block
+ */
+function chunkLines(lines, limit) {
+    const chunks = [];
+    let current = "";
+
+    for (const line of lines) {
+        const clipped =
+            line.length > limit ? `${line.slice(0, limit - 1)}…` : line;
+        if (current && current.length + clipped.length + 1 > limit) {
+            chunks.push(current);
+            current = "";
+        }
+        current = current ? `${current}\n${clipped}` : clipped;
+    }
+
+    if (current) chunks.push(current);
+    return chunks;
+}
+
+function plainText(text, limit) {
+    const value = String(text);
+    return {
+        type: "plain_text",
+        text: value.length > limit ? `${value.slice(0, limit - 1)}…` : value,
+        emoji: true,
+    };
+}
+
+function mrkdwnText(text) {
+    return {
+        type: "mrkdwn",
+        text:
+            text.length > SLACK_SECTION_TEXT_LIMIT
+                ? `${text.slice(0, SLACK_SECTION_TEXT_LIMIT - 1)}…`
+                : text,
+    };
+}
+
+/**
+ * One section block per item: links become a button, meta and details go
+ * in a context block underneath
+ */
+function renderRichSectionBlocks(section) {
+    const blocks = [];
+
+    section.items.forEach((item, index) => {
+        const marker = section.ordered ? `${index + 1}. ` : "";
+        const block = {
+            type: "section",
+            text: mrkdwnText(`${marker}*${escapeSlack(item.text)}*`),
+        };
+        const link = getSafeLink(item);
+        if (link) {
+            block.accessory = {
+                type: "button",
+                text: plainText(link.label, SLACK_BUTTON_TEXT_LIMIT),
+                url: link.url,
+                action_id: `brief_link_${section.id}_${index}`,
+            };
+        }
+        blocks.push(block);
+
+        const context = [item.meta, ...item.details]
+            .filter(Boolean)
+            .slice(0, SLACK_CONTEXT_ELEMENT_LIMIT)
+            .map((line) => mrkdwnText(escapeSlack(line)));
+        if (context.length > 0) {
+            blocks.push({ type: "context", elements: context });
+        }
+    });
+
+    return blocks;
+}
+
+/**
+ * The section's items as mrkdwn text blocks, for when the rich layout would
+ * not fit in the message
+ */
+function renderCompactSectionBlocks(section) {
+    return chunkLines(renderSlackItems(section), SLACK_SECTION_TEXT_LIMIT).map(
+        (chunk) => ({ type: "section", text: mrkdwnText(chunk) })
+    );
+}
+
+/**
+ * Slack Block Kit blocks: a header per section, one block per item with
+ * "View Thread" buttons, meeting times and details in context blocks.
+ * Sections fall back to compact text, largest first, until the message fits
+ * in Slack's block limit.
+ */
+function renderBlocks(brief) {
+    const head = [
+        {
+            type: "header",
+            text: plainText(`🍑 ${getHeading(brief)}`, SLACK_HEADER_TEXT_LIMIT),
+        },
+    ];
+    if (brief.period) {
+        head.push({
+            type: "context",
+            elements: [mrkdwnText(`📬 ${escapeSlack(brief.period.label)}`)],
+        });
+    }
+    if (brief.notice) {
+        head.push({
+            type: "context",
+            elements: [
+                mrkdwnText(`⚠️ *Notice:* ${escapeSlack(brief.notice)}`),
+            ],
+        });
+    }
+
+    const tail = [];
+    if (brief.footer) {
+        tail.push({
+            type: "context",
+            elements: [mrkdwnText(`💡 ${escapeSlack(brief.footer)}`)],
+        });
+    }
+
+    const sections = brief.sections.map((section) => {
+        const intro = [{ type: "divider" }];
+        if (section.title) {
+            intro.push({
+                type: "header",
+                text: plainText(
+                    getSectionHeading(section),
+                    SLACK_HEADER_TEXT_LIMIT
+                ),
+            });
+        }
+        if (section.summary) {
+            intro.push({
+                type: "section",
+                text: mrkdwnText(escapeSlack(section.summary)),
+            });
+        }
+
+        return {
+            intro,
+            items: renderRichSectionBlocks(section),
+            compact: () => renderCompactSectionBlocks(section),
+        };
+    });
+
+    const count = () =>
+        sections.reduce(
+            (sum, section) => sum + section.intro.length + section.items.length,
+            head.length + tail.length
+        );
+
+    const largestFirst = [...sections].sort(
+        (a, b) => b.items.length - a.items.length
+    );
+    for (const section of largestFirst) {
+        if (count() <= SLACK_MAX_BLOCKS) break;
+        section.items = section.compact();
+    }
+
+    const blocks = [
+        ...head,
+        ...sections.flatMap((section) => [...section.intro, ...section.items]),
+    ];
+
+    // Still too long: cut, and say so, keeping the footer visible
+    const room = SLACK_MAX_BLOCKS - tail.length;
+    if (blocks.length > room) {
+        blocks.length = room - 1;
+        blocks.push({
+            type: "context",
+            elements: [mrkdwnText("✂️ Brief shortened to fit in Slack")],
+        });
+    }
+
+    return [...blocks, ...tail];
+}
+
+/**
+ * Short notification text sent alongside blocks: the heading and each
+ * section's summary
+ */
+function renderFallbackText(brief) {
+    const lines = [`🍑 ${getHeading(brief)}`];
+    if (brief.period) lines.push(brief.period.label);
+    for (const section of brief.sections) {
+        if (section.title && section.summary) {
+            lines.push(`${getSectionHeading(section)}: ${section.summary}`);
+        }
+    }
+    return lines.join("\n");
+}
+
+/**
+ * HTML email body
+ */
+function renderHtml(brief) {
+    let html = `<h1>🍑 ${escapeHtml(getHeading(brief))}</h1>\n`;
+    if (brief.period) {
+        html += `<p><em>${escapeHtml(brief.period.label)}</em></p>\n`;
+    }
+
+    if (brief.notice) {
+        html += `<p><strong>⚠️ Notice: ${escapeHtml(brief.notice)}</strong></p>\n`;
+    }
+
+    for (const section of brief.sections) {
+        if (section.title) {
+            html += `<h2>${escapeHtml(getSectionHeading(section))}</h2>\n`;
+        }
+        if (section.summary) {
+            html += `<p>${escapeHtml(section.summary)}</p>\n`;
+        }
+        if (section.items.length === 0) continue;
+
+        const tag = section.ordered ? "ol" : "ul";
+        html += `<${tag}>\n`;
+        for (const item of section.items) {
+            html += `<li>${escapeHtml(item.text)}`;
+            if (item.meta) html += ` <span>(${escapeHtml(item.meta)})</span>`;
+            const link = getSafeLink(item);
+            if (link) {
+                html += ` <a href="${escapeHtml(link.url)}">${escapeHtml(
+                    link.label
+                )}</a>`;
+            }
+            if (item.details.length > 0) {
+                html += `<ul>${item.details
+                    .map((detail) => `<li>${escapeHtml(detail)}</li>`)
+                    .join("")}</ul>`;
+            }
+            html += `</li>\n`;
+        }
+        html += `</${tag}>\n`;
+    }
+
+    if (brief.footer) {
+        html += `<p><em>${escapeHtml(brief.footer)}</em></p>\n`;
+    }
+
+    return html;
+}
+
+/**
+ * Plain text, e.g. for SMS or the text part of an email
+ */
+function renderPlainText(brief) {
+    const lines = [getHeading(brief)];
+    if (brief.period) lines.push(brief.period.label);
+    lines.push("");
+
+    if (brief.notice) lines.push(`Notice: ${brief.notice}`, "");
+
+    for (const section of brief.sections) {
+        if (section.title) lines.push(section.title.toUpperCase());
+        if (section.summary) lines.push(section.summary);
+
+        section.items.forEach((item, index) => {
+            const marker = section.ordered ? `${index + 1}.` : "-";
+            const parts = [item.text];
+            if (item.meta) parts.push(item.meta);
+            const link = getSafeLink(item);
+            if (link) parts.push(`${link.label}: ${link.url}`);
+
+            lines.push(`${marker} ${parts.join(" | ")}`);
+            item.details.forEach((detail) => lines.push(`    - ${detail}`));
+        });
+        lines.push("");
+    }
+
+    if (brief.footer) lines.push(brief.footer);
+
+    return lines.join("\n").trimEnd();
+}
+
+/**
+ * Render a brief in one of BRIEF_FORMATS
+ */
+function renderBrief(brief, format = "mrkdwn") {
+    switch (format) {
+        case "mrkdwn":
+            return renderMrkdwn(brief);
+        case "blocks":
+            return renderBlocks(brief);
+        case "html":
+            return renderHtml(brief);
+        case "text":
+            return renderPlainText(brief);
+        default:
+            throw new Error(`Unknown brief format: ${format}`);
+    }
+}
+
+module.exports = {
+    BRIEF_FORMATS,
+    renderBrief,
+    renderMrkdwn,
+    renderBlocks,
+    renderFallbackText,
+    renderHtml,
+    renderPlainText,
+};
@@ -0,0 +1,209 @@
+// brief-types.js
+
+// Named brief types. "morning" uses the top-level delivery_time and
+// weekly_schedule columns; other types are configured per user in
+// user_preferences.brief_types, e.g. { "wrap_up": { "delivery_time": "17:30" } }
+// `sections` lists the brief's sections in order, mostly filled by the AI;
+// `linkLabel` names the button for item links (default "View Thread"),
+// `optional` sections are left out of the brief when they come back empty, and
+// `generated` sections are filled by the generator from stored data, not the AI.
+// A `weekly` type comes in parts (see weekly-brief.js): sections with a `part`
+// only appear in that part, which also has its own label.
+const CHANGES_SECTION = {
+    id: "changes",
+    emoji: "🔀",
+    title: "What Changed Since Your Last Brief",
+    optional: true,
+};
+
+const ACTION_ITEMS_SECTION = {
+    id: "actions",
+    emoji: "📌",
+    title: "Action Items",
+    optional: true,
+    generated: true,
+};
+
+const BRIEF_TYPES = {
+    morning: {
+        label: "Daily Brief",
+        defaultDeliveryTime: null,
+        sections: [
+            CHANGES_SECTION,
+            { id: "email", emoji: "📧", title: "Email Brief" },
+            ACTION_ITEMS_SECTION,
+            {
+                id: "calendar",
+                emoji: "📅",
+                title: "Calendar Brief",
+                ordered: true,
+                linkLabel: "Join Call",
+            },
+        ],
+    },
+    wrap_up: {
+        label: "End-of-Day Wrap-up",
+        defaultDeliveryTime: "17:30",
+        sections: [
+            CHANGES_SECTION,
+            { id: "review", emoji: "✅", title: "Today in Review" },
+            ACTION_ITEMS_SECTION,
+            {
+                id: "tomorrow",
+                emoji: "🌅",
+                title: "Tomorrow's First Meetings",
+                ordered: true,
+                linkLabel: "Join Call",
+            },
+        ],
+    },
+    weekly: {
+        label: "Weekly Brief",
+        weekly: true,
+        defaultDeliveryTime: "08:00",
+        // Week ahead on Monday morning, recap on Friday afternoon
+        defaultWeeklySchedule: {
+            tue: "off",
+            wed: "off",
+            thu: "off",
+            fri: "16:00",
+            sat: "off",
+            sun: "off",
+        },
+        parts: { ahead: "Week Ahead", recap: "Week in Review" },
+        sections: [
+            { id: "load", emoji: "📊", title: "Meeting Load", part: "ahead" },
+            {
+                id: "key_meetings",
+                emoji: "🤝",
+                title: "Key External Meetings",
+                part: "ahead",
+                optional: true,
+                linkLabel: "Join Call",
+            },
+            {
+                id: "deadlines",
+                emoji: "⏰",
+                title: "Deadlines",
+                part: "ahead",
+                optional: true,
+            },
+            {
+                id: "meeting_hours",
+                emoji: "⏱️",
+                title: "Meeting Hours",
+                part: "recap",
+            },
+            {
+                id: "email_trend",
+                emoji: "📈",
+                title: "Email Volume",
+                part: "recap",
+            },
+            {
+                id: "open_threads",
+                emoji: "⏳",
+                title: "Open Threads",
+                part: "recap",
+                optional: true,
+            },
+        ],
+    },
+};
+
+const DEFAULT_BRIEF_TYPE = "morning";
+
+/**
+ * Check that a brief type name is known
+ */
+function isValidBriefType(briefType) {
+    return Object.prototype.hasOwnProperty.call(BRIEF_TYPES, briefType);
+}
+
+/**
+ * Check whether a brief type covers a week rather than a day. Weekly briefs
+ * do not move the email window or the what-changed baseline of daily ones.
+ */
+function isWeeklyBriefType(briefType) {
+    return !!BRIEF_TYPES[briefType]?.weekly;
+}
+
+/**
+ * Brief types that cover a day
+ */
+function getDailyBriefTypes() {
+    return Object.keys(BRIEF_TYPES).filter(
+        (briefType) => !isWeeklyBriefType(briefType)
+    );
+}
+
+/**
+ * Get the display label for a brief type, or for one part of it
+ */
+function getBriefTypeLabel(briefType, part = null) {
+    const type = BRIEF_TYPES[briefType] || BRIEF_TYPES[DEFAULT_BRIEF_TYPE];
+    return (part && type.parts?.[part]) || type.label;
+}
+
+/**
+ * Get the section layout for a brief type, or for one part of it
+ */
+function getBriefTypeSections(briefType, part = null) {
+    const type = BRIEF_TYPES[briefType] || BRIEF_TYPES[DEFAULT_BRIEF_TYPE];
+    return type.sections.filter(
+        (section) => !part || !section.part || section.part === part
+    );
+}
+
+/**
+ * Expand a user's preferences row into one schedule per enabled brief type.
+ * Each schedule carries the fields getNextDeliveryTime expects.
+ */
+function getUserBriefSchedules(user) {
+    const schedules = [
+        {
+            briefType: DEFAULT_BRIEF_TYPE,
+            timezone: user.timezone,
+            delivery_time: user.delivery_time,
+            weekly_schedule: user.weekly_schedule,
+        },
+    ];
+
+    for (const [briefType, config] of Object.entries(user.brief_types || {})) {
+        if (briefType === DEFAULT_BRIEF_TYPE || !config) continue;
+
+        if (!isValidBriefType(briefType)) {
+            console.warn(
+                `⚠️ [BRIEF-TYPES] Ignoring unknown brief type "${briefType}" for ${user.user_id}`
+            );
+            continue;
+        }
+
+        if (config.enabled === false) continue;
+
+        // A user's weekly_schedule overrides the type's default day by day
+        const defaultWeeklySchedule = BRIEF_TYPES[briefType].defaultWeeklySchedule;
+        schedules.push({
+            briefType,
+            timezone: user.timezone,
+            delivery_time:
+                config.delivery_time || BRIEF_TYPES[briefType].defaultDeliveryTime,
+            weekly_schedule: defaultWeeklySchedule
+                ? { ...defaultWeeklySchedule, ...config.weekly_schedule }
+                : config.weekly_schedule || null,
+        });
+    }
+
+    return schedules;
+}
+
+module.exports = {
+    BRIEF_TYPES,
+    DEFAULT_BRIEF_TYPE,
+    isValidBriefType,
+    isWeeklyBriefType,
+    getDailyBriefTypes,
+    getBriefTypeLabel,
+    getBriefTypeSections,
+    getUserBriefSchedules,
+};
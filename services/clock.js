@@ -0,0 +1,135 @@
+// clock.js
+const { DateTime } = require("luxon");
+
+// Wall clock and timers used by the scheduler. Swapped for a SimulatedClock
+// to fast-forward through a day or a DST change without waiting for it.
+const systemClock = {
+    now: () => DateTime.now(),
+    setTimeout: (callback, ms) => setTimeout(callback, ms),
+    clearTimeout: (timer) => clearTimeout(timer),
+};
+
+let currentClock = systemClock;
+
+class SimulatedClock {
+    /**
+     * @param {DateTime|string} start - Starting instant (DateTime or ISO string)
+     */
+    constructor(start) {
+        const startAt =
+            typeof start === "string" ? DateTime.fromISO(start) : start;
+        if (!startAt || !startAt.isValid) {
+            throw new Error(`Invalid simulated clock start: ${start}`);
+        }
+
+        this.currentMillis = startAt.toMillis();
+        this.timers = [];
+        this.nextTimerId = 1;
+    }
+
+    /**
+     * Current simulated time
+     */
+    now() {
+        return DateTime.fromMillis(this.currentMillis);
+    }
+
+    /**
+     * Register a callback to run once simulated time reaches now + ms
+     */
+    setTimeout(callback, ms = 0) {
+        const timer = {
+            id: this.nextTimerId++,
+            at: this.currentMillis + Math.max(0, ms),
+            callback,
+        };
+        this.timers.push(timer);
+        return timer;
+    }
+
+    /**
+     * Cancel a timer returned by setTimeout
+     */
+    clearTimeout(timer) {
+        this.timers = this.timers.filter((pending) => pending !== timer);
+    }
+
+    /**
+     * Move time forward to `target`, running every timer that falls due on
+     * the way, in order. Async work a timer starts is settled before the
+     * next timer runs, so timers it re-arms are honored.
+     */
+    async advanceTo(target) {
+        const targetMillis = target.toMillis();
+
+        for (;;) {
+            const due = this.timers
+                .filter((timer) => timer.at <= targetMillis)
+                .sort((a, b) => a.at - b.at || a.id - b.id)[0];
+            if (!due) break;
+
+            this.clearTimeout(due);
+            this.currentMillis = Math.max(this.currentMillis, due.at);
+            due.callback();
+            await new Promise((resolve) => setImmediate(resolve));
+        }
+
+        this.currentMillis = Math.max(this.currentMillis, targetMillis);
+    }
+
+    /**
+     * Move time forward by a luxon duration, e.g. { hours: 24 }
+     */
+    async advanceBy(duration) {
+        await this.advanceTo(this.now().plus(duration));
+    }
+}
+
+/**
+ * Replace the clock, returning the previous one so it can be restored
+ */
+function setClock(clock) {
+    const previous = currentClock;
+    currentClock = clock || systemClock;
+    return previous;
+}
+
+/**
+ * Check whether a simulated clock is installed
+ */
+function isSimulated() {
+    return currentClock !== systemClock;
+}
+
+/**
+ * Current time as a luxon DateTime
+ */
+function now() {
+    return currentClock.now();
+}
+
+/**
+ * Current time in epoch milliseconds
+ */
+function nowMillis() {
+    return currentClock.now().toMillis();
+}
+
+/**
+ * Current time as a UTC ISO string, like Date#toISOString
+ */
+function nowISO() {
+    return currentClock.now().toUTC().toISO();
+}
+
+module.exports = {
+    SimulatedClock,
+    systemClock,
+    setClock,
+    isSimulated,
+    now,
+    nowMillis,
+    nowISO,
+    setTimeout: (callback, ms) => currentClock.setTimeout(callback, ms),
+    clearTimeout: (timer) => currentClock.clearTimeout(timer),
+};
@@ -1,8 +1,52 @@
 // daily-brief-generator.js
 const Anthropic = require("@anthropic-ai/sdk");
 const { DateTime } = require("luxon");
-const { getUserPreferences } = require("../handlers/supabase-helper");
+const {
+    getUserPreferences,
+    getLastSuccessfulBrief,
+    getLastBriefSnapshot,
+    getActionItems,
+    getActionItemKeys,
+    expireActionItems,
+    saveActionItems,
+    resolveActionItems,
+} = require("../handlers/supabase-helper");
 const { GoogleAPIClient } = require("../handlers/gmail-calendar-client");
+const { DEFAULT_BRIEF_TYPE, isWeeklyBriefType, getBriefTypeLabel, getBriefTypeSections } = require("./brief-types");
+const { createBrief, createSection, createItem, appendSection } = require("./brief-model");
+const { correlateEmailsToEvents } = require("./meeting-correlation");
+const { getEventStart, describeEvent, findScheduleConflicts, formatEventTime, getVideoLink, getLocation } = require("./event-details");
+const { normalizeVipSenders, buildVipQuery, rankVipFirst } = require("./vip-senders");
+const { snapshotEvent, snapshotThread, getRepliedThreads, diffSnapshots, hasChanges, describeChanges } = require("./brief-diff");
+const { buildActionItems, describeDueDate, describeActionItems } = require("./action-items");
+const {
+    getWeeklyPart,
+    getWeekRange,
+    summarizeMeetingLoad,
+    findKeyMeetings,
+    getBusyIntervals,
+    summarizeBusyHours,
+    summarizeEmailVolume,
+    findOpenThreads,
+    formatWeekEventTime,
+    formatHours,
+    describeMeetingLoad,
+    describeBusyHours,
+    describeEmailTrend,
+} = require("./weekly-brief");
+const clock = require("./clock");
+
+const BRIEF_MODEL = "claude-3-5-sonnet-20241022";
+
+// Upcoming events fetched per brief; a full page means later events were cut off
+const UPCOMING_EVENTS_LIMIT = 10;
+
+// Weekly briefs fetch more: a week of events, and two weeks of email to count
+const WEEKLY_EVENTS_LIMIT = 100;
+const WEEKLY_EMAIL_VOLUME_LIMIT = 200;
+
+// The email window reaches back to the last delivered brief, but no further than this
+const EMAIL_WINDOW_MAX_HOURS = parseInt(process.env.EMAIL_WINDOW_MAX_HOURS || "72", 10);
 
 const anthropic = new Anthropic({
     apiKey: process.env.ANTHROPIC_API_KEY,
@@ -21,14 +65,15 @@ class DailyBriefGenerator {
     }
 
     /**
-     * Generate a comprehensive daily brief for a user
+     * Generate a comprehensive brief of the given type for a user, as a
+     * structured brief (see brief-model.js)
      */
-    async generateDailyBrief(userEmail, userId = null) {
-        console.log(`📋 [BRIEF-GENERATOR] Generating daily brief for user: ${userEmail}`);
+    async generateDailyBrief(userEmail, userId = null, briefType = DEFAULT_BRIEF_TYPE) {
+        console.log(`📋 [BRIEF-GENERATOR] Generating ${briefType} brief for user: ${userEmail}`);
 
         // Check cache to prevent duplicate processing
-        const cacheKey = `${userEmail}:${userId || "unknown"}`;
-        const now = Date.now();
+        const cacheKey = `${userEmail}:${userId || "unknown"}:${briefType}`;
+        const now = clock.nowMillis();
 
         if (this.briefCache.has(cacheKey)) {
             const cachedData = this.briefCache.get(cacheKey);
@@ -52,25 +97,12 @@ class DailyBriefGenerator {
         }
 
         try {
-            // Get user preferences from Supabase for timezone settings
-            let userPreferences = null;
-            let userTimezone = "America/New_York"; // fallback
-
-            try {
-                userPreferences = await getUserPreferences(userId, userEmail);
-                if (userPreferences) {
-                    userTimezone = userPreferences.timezone || "America/New_York";
-                    console.log(`📋 [BRIEF-GENERATOR] Using preferences - timezone: ${userTimezone}, delivery_time: ${userPreferences.delivery_time}`);
-                } else {
-                    console.log("📋 [BRIEF-GENERATOR] No preferences found, using fallback timezone");
-                }
-            } catch (error) {
-                console.log("📋 [BRIEF-GENERATOR] Could not get user preferences:", error.message);
-            }
+            const settings = await this.getUserSettings(userEmail, userId);
+            const userTimezone = settings.timezone;
 
             // Current date in user's timezone
-            const now = DateTime.now().setZone(userTimezone);
-            const todayFormatted = now.toFormat("EEEE, MMMM d, yyyy");
+            const userNow = clock.now().setZone(userTimezone);
+            const todayFormatted = userNow.toFormat("EEEE, MMMM d, yyyy");
 
             console.log(`📋 [BRIEF-GENERATOR] Gathering data for ${todayFormatted} in timezone ${userTimezone}`);
 
@@ -79,7 +111,9 @@ class DailyBriefGenerator {
                 userEmail,
                 userTimezone,
                 todayFormatted,
-                now
+                userNow,
+                briefType,
+                settings
             );
             this.inFlight.set(cacheKey, generationPromise);
             const dailyBrief = await generationPromise;
@@ -87,7 +121,7 @@ class DailyBriefGenerator {
             // Cache the result for short-term consistency
             this.briefCache.set(cacheKey, {
                 brief: dailyBrief,
-                timestamp: now,
+                timestamp: clock.nowMillis(),
             });
 
             console.log(`💾 [BRIEF-GENERATOR] Cached brief for ${userEmail} (expires in ${this.CACHE_DURATION / 1000}s)`);
@@ -99,55 +133,506 @@ class DailyBriefGenerator {
 
         } catch (error) {
             console.error(`❌ [BRIEF-GENERATOR] Error generating daily brief:`, error);
-            return `❌ Sorry, I couldn't generate your daily brief. ${error.message}`;
+            return this.generateBasicBrief(
+                clock.now().toFormat("EEEE, MMMM d, yyyy"),
+                "UTC",
+                `Sorry, I couldn't generate your daily brief. ${error.message}`,
+                briefType
+            );
         } finally {
             this.inFlight.delete(cacheKey);
         }
     }
 
+    /**
+     * Get the settings a brief is built with (timezone, VIP senders, when the
+     * last brief was delivered and the data it was built from, open action
+     * items) from Supabase
+     */
+    async getUserSettings(userEmail, userId = null) {
+        const settings = {
+            userId: null,
+            timezone: "America/New_York", // fallback
+            vipSenders: [],
+            lastBriefAt: null,
+            previousSnapshot: null,
+            openActionItems: [],
+            knownActionItemKeys: new Set(),
+        };
+
+        try {
+            const userPreferences = await getUserPreferences(userId, userEmail);
+            if (userPreferences) {
+                settings.userId = userPreferences.user_id;
+                settings.timezone = userPreferences.timezone || "America/New_York";
+                settings.vipSenders = normalizeVipSenders(userPreferences.vip_senders);
+
+                const lastBrief = await getLastSuccessfulBrief(userPreferences.user_id);
+                if (lastBrief?.last_used) {
+                    settings.lastBriefAt = DateTime.fromISO(lastBrief.last_used);
+                }
+                settings.previousSnapshot = await getLastBriefSnapshot(userPreferences.user_id);
+                try {
+                    settings.openActionItems = await getActionItems(userPreferences.user_id);
+                    settings.knownActionItemKeys = new Set(await getActionItemKeys(userPreferences.user_id));
+                } catch (error) {
+                    console.warn("⚠️ [BRIEF-GENERATOR] Could not get open action items:", error.message);
+                }
+                console.log(`📋 [BRIEF-GENERATOR] Using preferences - timezone: ${settings.timezone}, delivery_time: ${userPreferences.delivery_time}, VIP senders: ${settings.vipSenders.length}`);
+            } else {
+                console.log("📋 [BRIEF-GENERATOR] No preferences found, using fallback timezone");
+            }
+        } catch (error) {
+            console.log("📋 [BRIEF-GENERATOR] Could not get user preferences:", error.message);
+        }
+
+        return settings;
+    }
+
+    /**
+     * Generate a brief ahead of its delivery time and keep a snapshot of the
+     * data it was built from, so changes can be detected at delivery
+     */
+    async prepareBrief(userEmail, userId = null, briefType = DEFAULT_BRIEF_TYPE, deliverAt = null) {
+        console.log(`🧑‍🍳 [BRIEF-GENERATOR] Pre-generating ${briefType} brief for user: ${userEmail}`);
+
+        const settings = await this.getUserSettings(userEmail, userId);
+        const userTimezone = settings.timezone;
+        const now = clock.now().setZone(userTimezone);
+        const briefDate = deliverAt ? deliverAt.setZone(userTimezone) : now;
+        const todayFormatted = briefDate.toFormat("EEEE, MMMM d, yyyy");
+
+        const { brief, emailSummary, calendarSummary } = await this.generateBriefWithData(
+            userEmail,
+            userTimezone,
+            todayFormatted,
+            now,
+            briefType,
+            settings
+        );
+
+        // A brief built without any data is not worth keeping; generate at delivery instead
+        if (!emailSummary && !calendarSummary) {
+            throw new Error("No Gmail or Calendar data available for pre-generation");
+        }
+
+        return {
+            brief,
+            timezone: userTimezone,
+            preparedAt: now.toUTC().toISO(),
+            snapshot: brief.generation.snapshot,
+        };
+    }
+
+    /**
+     * Snapshot of the meetings and important emails a brief was built from.
+     * It is kept on the brief (and so in the archive) for the next brief to
+     * diff against, and used to refresh pre-generated briefs at delivery.
+     * Data that could not be fetched is null rather than empty.
+     */
+    buildSnapshot(emailSummary, calendarSummary, userTimezone = null) {
+        const threads = new Map();
+        const addThreads = (emails, vip) => {
+            for (const email of emails || []) {
+                const id = this.getEmailId(email);
+                if (!threads.has(id)) threads.set(id, snapshotThread(email, id, vip));
+            }
+        };
+        addThreads(emailSummary?.vipEmails, true);
+        addThreads(emailSummary?.importantEmails, false);
+
+        return {
+            takenAt: clock.nowISO(),
+            date: calendarSummary?.date || null,
+            timezone: userTimezone,
+            events: calendarSummary ? (calendarSummary.todaysEvents || []).map(snapshotEvent) : null,
+            upcomingEvents: calendarSummary ? (calendarSummary.futureEvents || []).map(snapshotEvent) : null,
+            upcomingComplete: !!calendarSummary && !calendarSummary.upcomingLimitReached,
+            importantEmailIds: [...threads.keys()],
+            threads: emailSummary ? [...threads.values()] : null,
+        };
+    }
+
+    /**
+     * IDs of the emails and events a brief was built from, kept with the
+     * brief so the archive shows what the user's brief was based on
+     */
+    buildSources(emailSummary, calendarSummary) {
+        const emails = [
+            ...(emailSummary?.vipEmails || []),
+            ...(emailSummary?.importantEmails || []),
+            ...(emailSummary?.unreadEmails || []),
+            ...Object.values(calendarSummary?.relatedEmails || {}).flat().map((match) => match.email),
+        ];
+        const events = [
+            ...(calendarSummary?.todaysEvents || []),
+            ...(calendarSummary?.tomorrowsEvents || []),
+        ];
+
+        return {
+            emailIds: [...new Set(emails.map((email) => this.getEmailId(email)))],
+            eventIds: [...new Set(events.map((event) => event.id).filter(Boolean))],
+        };
+    }
+
+    /**
+     * Stable identifier for an email returned by the Gmail API client
+     */
+    getEmailId(email) {
+        return email.id || email.threadId || email.threadLink || `${email.from}|${email.subject}|${email.date}`;
+    }
+
+    /**
+     * Cheaply refresh a pre-generated brief at delivery time. Re-fetches only
+     * today's events and important emails (no AI call) and appends a short
+     * update section if meetings moved or important mail arrived.
+     */
+    async refreshPreparedBrief(userEmail, prepared) {
+        const { brief, snapshot, timezone } = prepared;
+
+        // Weekly briefs keep no snapshot and are not about today's changes
+        if (!snapshot) return brief;
+
+        try {
+            const [events, importantEmails] = await Promise.all([
+                this.googleClient.getTodaysEvents(userEmail),
+                this.googleClient.getRecentEmails(userEmail, 15, "(is:important OR is:starred) newer_than:1d"),
+            ]);
+
+            const updates = [];
+            const knownEvents = new Map((snapshot.events || []).map((event) => [event.id, event]));
+            const currentIds = new Set();
+
+            // Without a calendar snapshot every meeting would look new
+            for (const event of snapshot.events ? events : []) {
+                currentIds.add(event.id);
+                const known = knownEvents.get(event.id);
+                const start = event.start?.dateTime || event.start?.date || null;
+                const time = event.start?.dateTime
+                    ? DateTime.fromISO(event.start.dateTime).setZone(timezone).toFormat("h:mm a")
+                    : "All day";
+
+                if (event.status === "cancelled") {
+                    if (known && known.status !== "cancelled") updates.push(createItem(`❌ Cancelled: ${event.summary}`));
+                } else if (!known) {
+                    updates.push(createItem(`🆕 New meeting: ${event.summary}`, { meta: time }));
+                } else if (known.start !== start) {
+                    updates.push(createItem(`🔀 Moved: ${event.summary}`, { meta: `now at ${time}` }));
+                }
+            }
+
+            for (const known of snapshot.events || []) {
+                if (!currentIds.has(known.id) && known.status !== "cancelled") {
+                    updates.push(createItem(`❌ Cancelled: ${known.summary}`));
+                }
+            }
+
+            const knownEmails = new Set(snapshot.importantEmailIds || []);
+            const preparedAt = DateTime.fromISO(prepared.preparedAt);
+            for (const email of importantEmails) {
+                const receivedAt = DateTime.fromJSDate(new Date(email.date));
+                if (knownEmails.has(this.getEmailId(email))) continue;
+                if (receivedAt.isValid && receivedAt < preparedAt) continue;
+
+                updates.push(createItem(`📧 New important email: ${email.subject}`, {
+                    meta: `from: ${email.from}`,
+                    link: email.threadLink ? { url: email.threadLink, label: "View Thread" } : null,
+                }));
+            }
+
+            if (updates.length === 0) {
+                console.log("✅ [BRIEF-GENERATOR] Pre-generated brief is still current");
+                return brief;
+            }
+
+            console.log(`🔄 [BRIEF-GENERATOR] Appending ${updates.length} updates to pre-generated brief`);
+            return appendSection(brief, createSection("updates", "🔄", "Updates since this brief was prepared", { items: updates }));
+
+        } catch (error) {
+            // The prepared brief is still useful without the refresh
+            console.warn("⚠️ [BRIEF-GENERATOR] Could not refresh pre-generated brief:", error.message);
+            return brief;
+        }
+    }
+
     /**
      * Generate brief content using Gmail and Calendar data
      */
-    async generateBriefContent(userEmail, userTimezone, todayFormatted, currentTime) {
+    async generateBriefContent(userEmail, userTimezone, todayFormatted, currentTime, briefType = DEFAULT_BRIEF_TYPE, settings = {}) {
+        const { brief } = await this.generateBriefWithData(userEmail, userTimezone, todayFormatted, currentTime, briefType, settings);
+        return brief;
+    }
+
+    /**
+     * Generate brief content and return it with the data it was built from
+     */
+    async generateBriefWithData(userEmail, userTimezone, todayFormatted, currentTime, briefType = DEFAULT_BRIEF_TYPE, settings = {}) {
+        if (isWeeklyBriefType(briefType)) {
+            return this.generateWeeklyBriefWithData(userEmail, userTimezone, todayFormatted, currentTime, briefType, settings);
+        }
+
         console.log("📊 [BRIEF-GENERATOR] Gathering data from Gmail and Calendar...");
 
         try {
             // Gather data sequentially to avoid overwhelming APIs
             console.log("📧 [BRIEF-GENERATOR] Starting Gmail data gathering...");
-            const emailSummary = await this.gatherGmailData(userEmail, userTimezone, currentTime);
+            const emailSummary = await this.gatherGmailData(userEmail, userTimezone, currentTime, briefType, settings);
             
             // Add delay between major API operations
             await this.delay(1000);
 
             console.log("📅 [BRIEF-GENERATOR] Starting Calendar data gathering...");
-            const calendarSummary = await this.gatherCalendarData(userEmail);
+            const calendarSummary = await this.gatherCalendarData(userEmail, userTimezone, currentTime);
+
+            // Link today's meetings to the threads they are about
+            if (calendarSummary) {
+                calendarSummary.relatedEmails = await this.gatherMeetingContext(userEmail, emailSummary, calendarSummary);
+            }
+
+            // Sent mail since the previous brief tells which threads were answered
+            const sentEmails = await this.gatherSentEmails(userEmail, settings);
+
+            // Compare with the data of the previous brief
+            const snapshot = this.buildSnapshot(emailSummary, calendarSummary, userTimezone);
+            const changes = this.gatherChanges(settings.previousSnapshot, snapshot, sentEmails);
 
             // Generate AI-powered brief
-            return await this.generateAIDailyBrief(
+            const brief = await this.generateAIDailyBrief(
                 emailSummary,
                 calendarSummary,
                 todayFormatted,
-                userTimezone
+                userTimezone,
+                briefType,
+                changes,
+                settings.openActionItems
             );
+            brief.period = emailSummary?.period || null;
+            brief.generation = {
+                model: brief.generation?.model || null,
+                usage: brief.generation?.usage || null,
+                sources: this.buildSources(emailSummary, calendarSummary),
+                snapshot,
+                actionItems: brief.generation?.actionItems || [],
+            };
+
+            // Carry open action items, with any new ones, into the brief. They
+            // are only stored once the brief is delivered (recordActionItems).
+            const now = currentTime || clock.now().setZone(userTimezone);
+            const { items: actionItems, updates } = this.trackActionItems(settings, brief.generation.actionItems, emailSummary, sentEmails, now);
+            brief.generation.actionItemUpdates = updates;
+            const actionsLayout = getBriefTypeSections(briefType).find((layout) => layout.id === "actions");
+            if (actionsLayout && actionItems.length > 0) {
+                this.placeSection(brief, createSection(actionsLayout.id, actionsLayout.emoji, actionsLayout.title, {
+                    items: describeActionItems(actionItems, now),
+                }));
+            }
+
+            return { brief, emailSummary, calendarSummary };
 
         } catch (error) {
             console.error("❌ [BRIEF-GENERATOR] Error gathering data:", error);
             
             // Fallback to basic brief
-            return this.generateBasicBrief(todayFormatted, userTimezone, error.message);
+            return {
+                brief: this.generateBasicBrief(todayFormatted, userTimezone, error.message, briefType),
+                emailSummary: null,
+                calendarSummary: null,
+            };
+        }
+    }
+
+    /**
+     * Build a weekly brief (see weekly-brief.js): the week ahead or a recap
+     * of the week so far, depending on the day. Returns the week's calendar
+     * and email data alongside the brief, like generateBriefWithData.
+     */
+    async generateWeeklyBriefWithData(userEmail, userTimezone, todayFormatted, currentTime, briefType, settings = {}) {
+        const now = currentTime || clock.now().setZone(userTimezone);
+        const part = getWeeklyPart(now);
+        const range = getWeekRange(now, part);
+
+        console.log(`🗓️ [BRIEF-GENERATOR] Gathering ${part} data for the weekly brief (${range.label})...`);
+
+        try {
+            const calendarSummary = await this.gatherWeeklyCalendarData(userEmail, userTimezone, part, range);
+
+            await this.delay(1000);
+
+            const emailSummary = await this.gatherWeeklyEmailData(userEmail, userTimezone, part, range, now, settings);
+
+            // Tracked action items due this week, or already overdue
+            const deadlines = (settings.openActionItems || []).filter(
+                (item) => item.due_date && item.due_date < range.end.toISODate()
+            );
+
+            const weekly = { part, range, calendarSummary, emailSummary, deadlines };
+            const brief = await this.generateAIWeeklyBrief(weekly, todayFormatted, userTimezone, briefType);
+            brief.period = {
+                start: range.start.toUTC().toISO(),
+                end: range.end.toUTC().toISO(),
+                label: range.label,
+            };
+            brief.generation = {
+                model: brief.generation?.model || null,
+                usage: brief.generation?.usage || null,
+                sources: {
+                    emailIds: [...new Set([
+                        ...(emailSummary?.importantEmails || []),
+                        ...(emailSummary?.openThreads || []),
+                    ].map((email) => this.getEmailId(email)))],
+                    eventIds: (calendarSummary?.events || []).map((event) => event.id).filter(Boolean),
+                },
+                snapshot: null,
+            };
+
+            return { brief, emailSummary, calendarSummary };
+
+        } catch (error) {
+            console.error("❌ [BRIEF-GENERATOR] Error gathering weekly data:", error);
+
+            return {
+                brief: this.generateBasicBrief(todayFormatted, userTimezone, error.message, briefType),
+                emailSummary: null,
+                calendarSummary: null,
+            };
         }
     }
 
     /**
-     * Gather Gmail data for the brief
+     * Calendar data for a weekly brief: meetings per day and key external
+     * meetings for the week ahead, busy hours per day for the recap
      */
-    async gatherGmailData(userEmail, userTimezone, currentTime) {
+    async gatherWeeklyCalendarData(userEmail, userTimezone, part, range) {
+        console.log("📅 [BRIEF-GENERATOR] Gathering weekly Calendar data...");
+
+        try {
+            if (part === "recap") {
+                // Free/busy covers meetings already past, which the event lists do not
+                const freeBusy = await this.retryOperation(() =>
+                    this.googleClient.getCalendarAvailability(userEmail, range.start.toUTC().toISO(), range.end.toUTC().toISO())
+                );
+                const days = summarizeBusyHours(getBusyIntervals(freeBusy), range, userTimezone);
+                const totalHours = Math.round(days.reduce((sum, day) => sum + day.hours, 0) * 10) / 10;
+
+                console.log(`📅 [BRIEF-GENERATOR] Weekly calendar summary: ${totalHours} busy hours`);
+                return { days, totalHours, events: [] };
+            }
+
+            const todaysEvents = await this.retryOperation(() =>
+                this.googleClient.getTodaysEvents(userEmail)
+            );
+
+            await this.delay(500);
+
+            const upcomingEvents = await this.retryOperation(() =>
+                this.googleClient.getUpcomingEvents(userEmail, WEEKLY_EVENTS_LIMIT)
+            );
+
+            // Upcoming events repeat today's meetings that have not started yet
+            const events = [...new Map([...upcomingEvents, ...todaysEvents].map((event) => [event.id, event])).values()]
+                .filter((event) => {
+                    const start = this.getEventStart(event, userTimezone);
+                    return start && start >= range.start && start < range.end;
+                });
+
+            const days = summarizeMeetingLoad(events, range, userTimezone);
+            const totalMeetings = days.reduce((sum, day) => sum + day.meetings, 0);
+            const totalHours = Math.round(days.reduce((sum, day) => sum + day.hours, 0) * 10) / 10;
+
+            console.log(`📅 [BRIEF-GENERATOR] Weekly calendar summary: ${totalMeetings} meetings, ${totalHours} hours`);
+
+            return {
+                days,
+                totalMeetings,
+                totalHours,
+                keyMeetings: findKeyMeetings(events, userEmail, range, userTimezone),
+                events,
+                // The week may hold more events than were fetched
+                limitReached: upcomingEvents.length >= WEEKLY_EVENTS_LIMIT,
+            };
+
+        } catch (error) {
+            console.error("❌ [BRIEF-GENERATOR] Weekly Calendar data gathering failed:", error);
+            return null;
+        }
+    }
+
+    /**
+     * Email data for a weekly brief: the last week's important and VIP mail
+     * (for deadlines) for the week ahead; for the recap, the week's volume
+     * against last week and the important threads still without a reply
+     */
+    async gatherWeeklyEmailData(userEmail, userTimezone, part, range, now, settings = {}) {
+        console.log("📧 [BRIEF-GENERATOR] Gathering weekly Gmail data...");
+
+        try {
+            const vipSenders = settings.vipSenders || [];
+            const since = part === "recap" ? range.start : now.minus({ days: 7 });
+
+            console.log("📧 [BRIEF-GENERATOR] Getting important and VIP emails...");
+            const importantEmails = rankVipFirst(
+                await this.retryOperation(() =>
+                    this.googleClient.getRecentEmails(
+                        userEmail,
+                        20,
+                        `(is:important OR is:starred OR ${buildVipQuery(vipSenders)}) after:${since.toFormat("yyyy/MM/dd")}`
+                    )
+                ),
+                vipSenders
+            );
+
+            if (part !== "recap") {
+                console.log(`📧 [BRIEF-GENERATOR] Weekly email summary: ${importantEmails.length} important`);
+                return { importantEmails };
+            }
+
+            await this.delay(500);
+
+            console.log("📧 [BRIEF-GENERATOR] Getting this week's and last week's email for volume...");
+            const received = await this.retryOperation(() =>
+                this.googleClient.getRecentEmails(
+                    userEmail,
+                    WEEKLY_EMAIL_VOLUME_LIMIT,
+                    `-in:sent -in:drafts after:${range.start.minus({ weeks: 1 }).toFormat("yyyy/MM/dd")}`
+                )
+            );
+
+            await this.delay(500);
+
+            console.log("📤 [BRIEF-GENERATOR] Getting this week's sent emails...");
+            const sentEmails = await this.retryOperation(() =>
+                this.googleClient.getRecentEmails(userEmail, 50, `in:sent after:${range.start.toFormat("yyyy/MM/dd")}`)
+            );
+
+            const volume = summarizeEmailVolume(received, range, userTimezone);
+            // Only the newest emails are fetched, so a busy fortnight undercounts
+            volume.truncated = received.length >= WEEKLY_EMAIL_VOLUME_LIMIT;
+            const openThreads = findOpenThreads(importantEmails, sentEmails, range, userTimezone);
+
+            console.log(`📧 [BRIEF-GENERATOR] Weekly email summary: ${volume.total} received (last week ${volume.previousTotal}), ${openThreads.length} open threads`);
+
+            return { importantEmails, volume, openThreads };
+
+        } catch (error) {
+            console.error("❌ [BRIEF-GENERATOR] Weekly Gmail data gathering failed:", error);
+            return null;
+        }
+    }
+
+    /**
+     * Gather Gmail data for the brief, covering mail since the last delivered
+     * brief. VIP mail is the user's "VIP" label plus their VIP senders, and
+     * those senders are ranked first in every list.
+     */
+    async gatherGmailData(userEmail, userTimezone, currentTime, briefType = DEFAULT_BRIEF_TYPE, settings = {}) {
         console.log("📧 [BRIEF-GENERATOR] Gathering Gmail data...");
 
         try {
-            const now = currentTime || DateTime.now().setZone(userTimezone);
-            const businessStart = now.minus({ days: 1 }).set({ hour: 18, minute: 0, second: 0 }); // Yesterday 6pm
-            const businessEnd = now; // Current time
+            const vipSenders = settings.vipSenders || [];
+            const now = currentTime || clock.now().setZone(userTimezone);
+            const emailWindow = this.getEmailWindow(now, briefType, settings.lastBriefAt);
+            const businessStart = emailWindow.start;
+            const businessEnd = emailWindow.end;
 
             console.log(`📧 [BRIEF-GENERATOR] Business period: ${businessStart.toFormat("MMM dd, h:mm a")} - ${businessEnd.toFormat("MMM dd, h:mm a")} ${userTimezone}`);
 
@@ -173,13 +658,13 @@ class DailyBriefGenerator {
 
             console.log("📧 [BRIEF-GENERATOR] Getting VIP emails...");
             const vipEmails = await this.retryOperation(() =>
-                this.googleClient.getRecentEmails(userEmail, 10, `label:"VIP" ${timeQuery}`)
+                this.googleClient.getRecentEmails(userEmail, 10, `${buildVipQuery(vipSenders)} ${timeQuery}`)
             );
 
             // Filter by business hours and get counts
-            const filteredUnread = this.filterEmailsByBusinessHours(unreadEmails, businessStart, businessEnd, userTimezone);
-            const filteredImportant = this.filterEmailsByBusinessHours(importantEmails, businessStart, businessEnd, userTimezone);
-            const filteredVip = this.filterEmailsByBusinessHours(vipEmails, businessStart, businessEnd, userTimezone);
+            const filteredUnread = rankVipFirst(this.filterEmailsByBusinessHours(unreadEmails, businessStart, businessEnd, userTimezone), vipSenders);
+            const filteredImportant = rankVipFirst(this.filterEmailsByBusinessHours(importantEmails, businessStart, businessEnd, userTimezone), vipSenders);
+            const filteredVip = rankVipFirst(this.filterEmailsByBusinessHours(vipEmails, businessStart, businessEnd, userTimezone), vipSenders);
 
             console.log(`📧 [BRIEF-GENERATOR] Email summary: ${filteredUnread.length} unread, ${filteredImportant.length} important, ${filteredVip.length} VIP`);
 
@@ -195,6 +680,11 @@ class DailyBriefGenerator {
                     end: businessEnd.toFormat("MMM dd, h:mm a"),
                     timezone: userTimezone,
                 },
+                period: {
+                    start: businessStart.toUTC().toISO(),
+                    end: businessEnd.toUTC().toISO(),
+                    label: emailWindow.label,
+                },
             };
 
         } catch (error) {
@@ -206,7 +696,7 @@ class DailyBriefGenerator {
     /**
      * Gather Calendar data for the brief
      */
-    async gatherCalendarData(userEmail) {
+    async gatherCalendarData(userEmail, userTimezone = "America/New_York", currentTime = null) {
         console.log("📅 [BRIEF-GENERATOR] Gathering Calendar data...");
 
         try {
@@ -219,27 +709,35 @@ class DailyBriefGenerator {
 
             console.log("📅 [BRIEF-GENERATOR] Getting upcoming events...");
             const upcomingEvents = await this.retryOperation(() =>
-                this.googleClient.getUpcomingEvents(userEmail, 10)
+                this.googleClient.getUpcomingEvents(userEmail, UPCOMING_EVENTS_LIMIT)
             );
 
             // Filter upcoming events to exclude today's events
-            const now = new Date();
-            const tomorrow = new Date(now);
-            tomorrow.setDate(tomorrow.getDate() + 1);
-            tomorrow.setHours(0, 0, 0, 0);
+            const now = currentTime || clock.now().setZone(userTimezone);
+            const tomorrow = now.plus({ days: 1 }).startOf("day");
+            const dayAfterTomorrow = tomorrow.plus({ days: 1 });
 
             const futureEvents = upcomingEvents.filter((event) => {
-                const eventStart = new Date(event.start?.dateTime || event.start?.date);
-                return eventStart >= tomorrow;
+                const eventStart = this.getEventStart(event, userTimezone);
+                return eventStart && eventStart >= tomorrow;
             });
 
+            const tomorrowsEvents = futureEvents.filter((event) =>
+                this.getEventStart(event, userTimezone) < dayAfterTomorrow
+            );
+
             console.log(`📅 [BRIEF-GENERATOR] Calendar summary: ${todaysEvents.length} today's events, ${futureEvents.length} upcoming`);
 
             return {
+                date: now.toISODate(),
                 todaysEvents: todaysEvents,
                 upcomingEvents: futureEvents.slice(0, 5),
+                tomorrowsEvents: tomorrowsEvents.slice(0, 3),
+                futureEvents,
+                upcomingLimitReached: upcomingEvents.length >= UPCOMING_EVENTS_LIMIT,
                 todaysEventCount: todaysEvents.length,
                 upcomingEventCount: futureEvents.length,
+                conflicts: findScheduleConflicts(todaysEvents, userTimezone),
             };
 
         } catch (error) {
@@ -248,6 +746,194 @@ class DailyBriefGenerator {
         }
     }
 
+    /**
+     * Match today's meetings to recent email threads by attendees, organizer
+     * and subject (see meeting-correlation.js). Returns { [eventId]: matches }.
+     */
+    async gatherMeetingContext(userEmail, emailSummary, calendarSummary) {
+        const events = calendarSummary.todaysEvents || [];
+        if (events.length === 0) return {};
+
+        console.log("🔗 [BRIEF-GENERATOR] Getting recent threads for meeting context...");
+        await this.delay(500);
+        const recentEmails = await this.retryOperation(
+            () => this.googleClient.getRecentEmails(userEmail, 30, "newer_than:7d -category:promotions -category:social"),
+            false
+        );
+
+        const emails = [
+            ...(emailSummary?.vipEmails || []),
+            ...(emailSummary?.importantEmails || []),
+            ...(emailSummary?.unreadEmails || []),
+            ...recentEmails,
+        ];
+        const relatedEmails = correlateEmailsToEvents(events, emails, userEmail);
+
+        console.log(`🔗 [BRIEF-GENERATOR] Found related threads for ${Object.keys(relatedEmails).length}/${events.length} meetings`);
+        return relatedEmails;
+    }
+
+    /**
+     * The user's sent mail since their previous brief, used to tell which
+     * threads and action items were answered. Null when there is nothing to
+     * check or it could not be fetched.
+     */
+    async gatherSentEmails(userEmail, settings) {
+        const hasThreads = settings.previousSnapshot?.threads?.length > 0 || settings.openActionItems?.length > 0;
+        const since = settings.previousSnapshot?.takenAt
+            ? DateTime.fromISO(settings.previousSnapshot.takenAt)
+            : settings.lastBriefAt;
+        if (!hasThreads || !since) return null;
+
+        try {
+            console.log("📤 [BRIEF-GENERATOR] Getting sent emails to find answered threads...");
+            await this.delay(500);
+            const sent = await this.retryOperation(() =>
+                this.googleClient.getRecentEmails(userEmail, 50, `in:sent after:${since.toFormat("yyyy/MM/dd")}`)
+            );
+            return sent.filter((email) => {
+                const sentAt = DateTime.fromJSDate(new Date(email.date));
+                return !sentAt.isValid || sentAt >= since;
+            });
+        } catch (error) {
+            // Without sent mail, answered threads cannot be told apart
+            console.warn("⚠️ [BRIEF-GENERATOR] Could not get sent emails:", error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Diff this brief's data against the previous brief's snapshot (see
+     * brief-diff.js). Returns null without a previous snapshot.
+     */
+    gatherChanges(previousSnapshot, snapshot, sentEmails) {
+        if (!previousSnapshot) return null;
+
+        const changes = diffSnapshots(previousSnapshot, snapshot, sentEmails);
+        console.log(`🔀 [BRIEF-GENERATOR] Changes since last brief: ${changes.newMeetings.length} new, ${changes.movedMeetings.length} moved, ${changes.removedMeetings.length} removed meetings, ${changes.unansweredThreads.length} unanswered threads, ${changes.newVipEmails.length} new VIP emails`);
+        return changes;
+    }
+
+    /**
+     * Work out the action items a brief shows: open ones carried over, minus
+     * those the user has replied to, plus new ones. Nothing is stored here;
+     * `updates` ({ userId, resolvedIds, added }, null without a user id) is
+     * applied by recordActionItems once the brief is delivered.
+     */
+    trackActionItems(settings, extracted, emailSummary, sentEmails, now) {
+        const isReplied = sentEmails ? getRepliedThreads(sentEmails) : () => false;
+        const replied = (item) => isReplied({ threadId: item.thread_id, subject: item.subject });
+
+        const carried = settings.openActionItems || [];
+        const answered = carried.filter(replied);
+
+        const emails = [
+            ...(emailSummary?.vipEmails || []),
+            ...(emailSummary?.importantEmails || []),
+            ...(emailSummary?.unreadEmails || []),
+        ];
+        const found = buildActionItems(extracted, emails, {
+            userId: settings.userId,
+            now,
+            timezone: now.zoneName,
+            getEmailId: (email) => this.getEmailId(email),
+        }).filter((item) => !replied(item));
+
+        // Items already stored are open (carried) or were resolved or expired
+        // before; only the rest are new
+        const known = settings.knownActionItemKeys || new Set();
+        const added = found.filter((item) => !known.has(item.item_key));
+        console.log(`📌 [BRIEF-GENERATOR] Found ${found.length} action items, ${added.length} new, ${answered.length} replied to`);
+
+        const open = new Map(carried.filter((item) => !answered.includes(item)).map((item) => [item.item_key, item]));
+        for (const item of added) {
+            if (!open.has(item.item_key)) open.set(item.item_key, item);
+        }
+
+        return {
+            items: [...open.values()],
+            updates: settings.userId
+                ? { userId: settings.userId, resolvedIds: answered.map((item) => item.id), added }
+                : null,
+        };
+    }
+
+    /**
+     * Store the action item changes of a delivered brief (see
+     * trackActionItems) and expire the user's stale items. Failures are
+     * logged, not thrown: the brief has already been sent.
+     */
+    async recordActionItems(brief) {
+        const updates = brief.generation?.actionItemUpdates;
+        if (!updates) return;
+
+        try {
+            if (updates.resolvedIds.length > 0) {
+                await resolveActionItems(updates.userId, updates.resolvedIds, "replied");
+                console.log(`✅ [BRIEF-GENERATOR] Resolved ${updates.resolvedIds.length} action items the user replied to`);
+            }
+            const saved = await saveActionItems(updates.added);
+            if (saved.length > 0) console.log(`📌 [BRIEF-GENERATOR] Stored ${saved.length} new action items`);
+            await expireActionItems(updates.userId);
+        } catch (error) {
+            console.warn("⚠️ [BRIEF-GENERATOR] Could not record action items:", error.message);
+        }
+    }
+
+    /**
+     * Put a generated section into the brief at its place in the layout
+     */
+    placeSection(brief, section) {
+        const order = getBriefTypeSections(brief.type).map((layout) => layout.id);
+        brief.sections = [...brief.sections.filter((existing) => existing.id !== section.id), section]
+            .sort((a, b) => order.indexOf(a.id) - order.indexOf(b.id));
+    }
+
+    /**
+     * Get an event's start as a DateTime in the user's timezone
+     */
+    getEventStart(event, userTimezone) {
+        return getEventStart(event, userTimezone);
+    }
+
+    /**
+     * Email window for a brief: since the user's last delivered brief of any
+     * type, capped at EMAIL_WINDOW_MAX_HOURS. Without a delivered brief it is
+     * yesterday 6pm (morning) or midnight (wrap-up) until now.
+     */
+    getEmailWindow(now, briefType = DEFAULT_BRIEF_TYPE, lastBriefAt = null) {
+        let start;
+        if (lastBriefAt && lastBriefAt < now) {
+            start = lastBriefAt.setZone(now.zone);
+        } else if (briefType === "wrap_up") {
+            start = now.startOf("day"); // Since midnight today
+        } else {
+            start = now.minus({ days: 1 }).set({ hour: 18, minute: 0, second: 0, millisecond: 0 }); // Yesterday 6pm
+        }
+
+        const earliest = now.minus({ hours: EMAIL_WINDOW_MAX_HOURS });
+        const capped = start < earliest;
+        if (capped) start = earliest;
+
+        let since;
+        if (start.hasSame(now, "day")) {
+            since = start.toFormat("h:mm a");
+        } else if (start.hasSame(now.minus({ days: 1 }), "day")) {
+            since = `yesterday, ${start.toFormat("h:mm a")}`;
+        } else {
+            since = start.toFormat("EEE, MMM d, h:mm a");
+        }
+
+        return {
+            start,
+            end: now,
+            capped,
+            label: capped
+                ? `Email from the last ${EMAIL_WINDOW_MAX_HOURS} hours (since ${since})`
+                : `Email since ${since}`,
+        };
+    }
+
     /**
      * Filter emails by business hours
      */
@@ -271,40 +957,16 @@ class DailyBriefGenerator {
     /**
      * Generate AI-powered daily brief
      */
-    async generateAIDailyBrief(emailSummary, calendarSummary, todayFormatted, userTimezone) {
-        console.log("🤖 [BRIEF-GENERATOR] Generating AI-powered daily brief...");
-
-        const briefingData = this.prepareBriefingData(emailSummary, calendarSummary, todayFormatted, userTimezone);
+    async generateAIDailyBrief(emailSummary, calendarSummary, todayFormatted, userTimezone, briefType = DEFAULT_BRIEF_TYPE, changes = null, openActionItems = []) {
+        console.log(`🤖 [BRIEF-GENERATOR] Generating AI-powered ${briefType} brief...`);
 
-        const systemPrompt = `You are an expert executive assistant. Generate a daily brief divided into EXACTLY TWO sections:
-
-1) 📧 Email Brief
-   - Summarize inbox at a glance (unread count, important/starred count, VIP count)
-   - List up to 5 important email highlights with format: "subject | from | [View Thread](threadLink)". Keep each on a single line.
-   - Be concise and action-oriented.
-
-2) 📅 Calendar Brief
-   - Use a numbered list for today's meetings in chronological order. Format each as:
-     1. Event Title | Time Range
-        1.1 context from related emails (if available)
-   - If no email context exists for an event, include a single sub-point: "No specific email context available".
-   - Always include time ranges in format "8:00 - 9:00" or "9:00 - 9:30".
-
-General Rules:
-- Do not add any extra sections beyond the two specified.
-- Keep the tone professional and concise.
-- Always include thread links for emails in markdown format.`;
-
-        const userPrompt = `Please create a daily brief for ${todayFormatted} with EXACTLY two sections (Email Brief, Calendar Brief). Here's the data:
-
-${briefingData}
-
-Generate a comprehensive yet concise daily brief that helps the user prioritize their day effectively.`;
+        const briefingData = this.prepareBriefingData(emailSummary, calendarSummary, todayFormatted, userTimezone, briefType, changes, openActionItems);
+        const { systemPrompt, userPrompt } = this.getBriefPrompts(briefType, briefingData, todayFormatted);
 
         try {
             const response = await anthropic.messages.create({
-                model: "claude-3-5-sonnet-20241022",
-                max_tokens: 800,
+                model: BRIEF_MODEL,
+                max_tokens: 1200,
                 system: systemPrompt,
                 messages: [
                     {
@@ -314,47 +976,231 @@ Generate a comprehensive yet concise daily brief that helps the user prioritize
                 ],
             });
 
-            const dailyBrief = response.content[0].text;
-            const briefHeader = `🍑 *Daily Brief - ${todayFormatted}*\n\n`;
-            
-            return `${briefHeader}${dailyBrief}`;
+            const brief = createBrief({
+                type: briefType,
+                title: getBriefTypeLabel(briefType),
+                date: todayFormatted,
+                timezone: userTimezone,
+                generatedAt: clock.nowISO(),
+                generation: {
+                    model: BRIEF_MODEL,
+                    usage: response.usage
+                        ? { input_tokens: response.usage.input_tokens, output_tokens: response.usage.output_tokens }
+                        : null,
+                },
+            });
+            brief.sections = this.parseAIBriefSections(response.content[0].text, briefType);
+            brief.generation.actionItems = this.parseAIActionItems(response.content[0].text);
 
+            return brief;
+
+        } catch (error) {
+            console.error("❌ [BRIEF-GENERATOR] AI generation failed, using the template brief:", error);
+            return this.generateTemplateBrief(emailSummary, calendarSummary, todayFormatted, userTimezone, briefType, changes);
+        }
+    }
+
+    /**
+     * Turn the AI's JSON answer into the brief type's sections (of one part,
+     * for weekly briefs). Sections come out in the brief type's order whatever
+     * order the AI used. An answer that is not valid JSON is kept as a single
+     * text section rather than lost.
+     */
+    parseAIBriefSections(text, briefType = DEFAULT_BRIEF_TYPE, part = null) {
+        let parsed;
+        try {
+            parsed = this.parseAIJson(text);
+        } catch (error) {
+            console.warn("⚠️ [BRIEF-GENERATOR] AI response was not valid JSON, keeping it as text:", error.message);
+            return [createSection("brief", null, null, { summary: text.trim() })];
+        }
+
+        const answered = new Map((parsed.sections || []).map((section) => [section.id, section]));
+
+        return getBriefTypeSections(briefType, part).map((layout) => {
+            if (layout.generated) return null;
+
+            const section = answered.get(layout.id) || {};
+            const items = (Array.isArray(section.items) ? section.items : [])
+                .filter((item) => item && item.text)
+                .map((item) => ({
+                    ...item,
+                    link: item.link ? { url: item.link, label: layout.linkLabel || "View Thread" } : null,
+                }));
+
+            if (layout.optional && items.length === 0) return null;
+
+            return createSection(layout.id, layout.emoji, layout.title, {
+                summary: section.summary || null,
+                ordered: !!layout.ordered,
+                items,
+            });
+        }).filter(Boolean);
+    }
+
+    /**
+     * Action items the AI extracted ({ text, due, thread }), or none when the
+     * answer has no valid list
+     */
+    parseAIActionItems(text) {
+        try {
+            const { actionItems } = this.parseAIJson(text);
+            return Array.isArray(actionItems) ? actionItems.filter((item) => item && item.text && item.thread) : [];
         } catch (error) {
-            console.error("❌ [BRIEF-GENERATOR] AI generation failed:", error);
-            return this.generateBasicBrief(todayFormatted, userTimezone, error.message);
+            return [];
         }
     }
 
+    /**
+     * Parse the JSON object in the AI's answer, ignoring any text around it
+     */
+    parseAIJson(text) {
+        return JSON.parse(text.slice(text.indexOf("{"), text.lastIndexOf("}") + 1));
+    }
+
+    /**
+     * Get the system and user prompts for a brief type
+     */
+    getBriefPrompts(briefType, briefingData, todayFormatted) {
+        const responseFormat = `Respond with a single JSON object and nothing else, in this shape:
+{"sections": [{"id": "<section id>", "summary": "<one short line, or null>", "items": [{"text": "<item>", "meta": "<time range or sender, or null>", "link": "<thread link URL, or null>", "details": ["<sub-point>"]}]}],
+ "actionItems": [{"text": "<what the user has to do>", "due": "<yyyy-MM-dd, or null>", "thread": "<thread link URL>"}]}
+
+Section ids: ${getBriefTypeSections(briefType).filter((section) => !section.generated).map((section) => `"${section.id}"`).join(", ")}. Use plain text inside strings (no markdown).
+
+actionItems: concrete things the user has been asked to do in the VIP and important emails, e.g. "Reply to Dana about the offsite" or "Send the signed contract".
+- Start text with a verb. Set due only when the email gives a deadline; resolve weekdays and relative dates ("by Thursday", "end of next week") from the date the email was received.
+- thread is the email's thread link exactly as given in the data. Leave out items without one.
+- Do not repeat anything listed under OPEN ACTION ITEMS. Use an empty list when there is nothing to do.`;
+
+        const changesSection = `1) "changes" (What Changed Since Your Last Brief)
+   - items: one per change listed under CHANGES SINCE LAST BRIEF in the data, in that order. text = the change exactly as written (keep its emoji), meta = the time or sender given, link = the thread link if there is one.
+   - If the data has no CHANGES SINCE LAST BRIEF block, use an empty items list.`;
+
+        if (briefType === "wrap_up") {
+            const systemPrompt = `You are an expert executive assistant. Generate an end-of-day wrap-up divided into EXACTLY THREE sections:
+
+${changesSection}
+
+2) "review" (Today in Review)
+   - summary: today's inbox activity (unread count, important/starred count, VIP count)
+   - items: up to 5 important emails from today that may still need a reply, VIP emails first. text = subject, meta = "from: <sender>", link = the thread link.
+   - Then one item per meeting from today, as a one-line recap.
+
+3) "tomorrow" (Tomorrow's First Meetings)
+   - items: tomorrow's first meetings in chronological order. text = event title, meta = the time range exactly as given in the data, link = the video link if there is one.
+   - If there are no meetings tomorrow, use an empty items list and say so in summary.
+
+General Rules:
+- Do not add any extra sections beyond the three specified.
+- Keep the tone professional and concise.
+- Always include thread links for emails.
+
+${responseFormat}`;
+
+            const userPrompt = `Please create an end-of-day wrap-up for ${todayFormatted} with EXACTLY three sections (changes, review, tomorrow). Here's the data:
+
+${briefingData}
+
+Generate a concise wrap-up that helps the user close out today and prepare for tomorrow.`;
+
+            return { systemPrompt, userPrompt };
+        }
+
+        const systemPrompt = `You are an expert executive assistant. Generate a daily brief divided into EXACTLY THREE sections:
+
+${changesSection}
+
+2) "email" (Email Brief)
+   - summary: inbox at a glance (unread count, important/starred count, VIP count)
+   - items: up to 5 important email highlights, VIP emails first. text = subject, meta = "from: <sender>", link = the thread link.
+   - Be concise and action-oriented.
+
+3) "calendar" (Calendar Brief)
+   - items: today's meetings in chronological order. text = event title, meta = the time range exactly as given in the data (plus the location if there is one), link = the video link if there is one.
+   - Flag meetings marked as overlapping or back-to-back in a detail, e.g. "Overlaps with Design review".
+   - details: context from the "Related emails" listed under that event in the data (what the thread is about and anything to prepare). If no related emails are listed, use a single detail: "No specific email context available".
+
+General Rules:
+- Do not add any extra sections beyond the three specified.
+- Keep the tone professional and concise.
+- Always include thread links for emails.
+
+${responseFormat}`;
+
+        const userPrompt = `Please create a daily brief for ${todayFormatted} with EXACTLY three sections (changes, email, calendar). Here's the data:
+
+${briefingData}
+
+Generate a comprehensive yet concise daily brief that helps the user prioritize their day effectively.`;
+
+        return { systemPrompt, userPrompt };
+    }
+
     /**
      * Prepare data for AI analysis
      */
-    prepareBriefingData(emailSummary, calendarSummary, todayFormatted, userTimezone) {
+    prepareBriefingData(emailSummary, calendarSummary, todayFormatted, userTimezone, briefType = DEFAULT_BRIEF_TYPE, changes = null, openActionItems = []) {
         let briefingData = `DATE: ${todayFormatted}\nTIMEZONE: ${userTimezone}\n\n`;
 
+        // What changed since the previous brief (see brief-diff.js)
+        if (hasChanges(changes)) {
+            const since = changes.since
+                ? ` (since ${DateTime.fromISO(changes.since).setZone(userTimezone).toFormat("EEE, MMM d, h:mm a")})`
+                : "";
+            briefingData += `CHANGES SINCE LAST BRIEF${since}:\n`;
+            describeChanges(changes, userTimezone, calendarSummary?.date).forEach((change) => {
+                briefingData += `- ${change.text} | ${change.meta}${change.link ? ` - Thread: ${change.link}` : ""}\n`;
+            });
+            briefingData += `\n`;
+        }
+
         // Email data
         if (emailSummary) {
             briefingData += `EMAIL DATA:\n`;
+            if (emailSummary.period) {
+                briefingData += `- Period: ${emailSummary.period.label}\n`;
+            }
             briefingData += `- Unread emails: ${emailSummary.unreadCount}\n`;
             briefingData += `- Important emails: ${emailSummary.importantCount}\n`;
             briefingData += `- VIP emails: ${emailSummary.vipCount}\n`;
 
-            if (emailSummary.importantEmails && emailSummary.importantEmails.length > 0) {
-                briefingData += `\nIMPORTANT EMAIL SUBJECTS:\n`;
-                emailSummary.importantEmails.slice(0, 5).forEach((email, index) => {
-                    briefingData += `${index + 1}. ${email.subject} (from: ${email.from}) - Thread: ${email.threadLink || "N/A"}\n`;
-                });
-            }
+            // Received dates and snippets let the AI find asks and resolve deadlines
+            const describeEmail = (email, index) => {
+                const received = DateTime.fromJSDate(new Date(email.date)).setZone(userTimezone);
+                let line = `${index + 1}. ${email.subject} (from: ${email.from}${received.isValid ? `, received ${received.toFormat("EEE, yyyy-MM-dd")}` : ""}) - Thread: ${email.threadLink || "N/A"}\n`;
+                if (email.snippet) {
+                    line += `   "${email.snippet}"\n`;
+                }
+                return line;
+            };
 
             if (emailSummary.vipEmails && emailSummary.vipEmails.length > 0) {
                 briefingData += `\nVIP EMAIL SUBJECTS:\n`;
                 emailSummary.vipEmails.slice(0, 5).forEach((email, index) => {
-                    briefingData += `${index + 1}. ${email.subject} (from: ${email.from}) - Thread: ${email.threadLink || "N/A"}\n`;
+                    briefingData += describeEmail(email, index);
+                });
+            }
+
+            if (emailSummary.importantEmails && emailSummary.importantEmails.length > 0) {
+                briefingData += `\nIMPORTANT EMAIL SUBJECTS:\n`;
+                emailSummary.importantEmails.slice(0, 5).forEach((email, index) => {
+                    briefingData += describeEmail(email, index);
                 });
             }
         } else {
             briefingData += `EMAIL DATA: Not available (connection issue)\n`;
         }
 
+        // Items from earlier briefs, so the AI does not extract them again
+        if (openActionItems && openActionItems.length > 0) {
+            const today = clock.now().setZone(userTimezone);
+            briefingData += `\nOPEN ACTION ITEMS (already tracked, do not extract again):\n`;
+            openActionItems.forEach((item) => {
+                briefingData += `- ${item.text} (${describeDueDate(item.due_date, today)}) - Thread: ${item.thread_link}\n`;
+            });
+        }
+
         briefingData += `\n`;
 
         // Calendar data
@@ -363,13 +1209,34 @@ Generate a comprehensive yet concise daily brief that helps the user prioritize
             briefingData += `- Today's events: ${calendarSummary.todaysEventCount}\n`;
             briefingData += `- Upcoming events: ${calendarSummary.upcomingEventCount}\n`;
 
+            // Times are shown in the user's timezone, relative to the brief's day
+            const today = calendarSummary.date
+                ? DateTime.fromISO(calendarSummary.date, { zone: userTimezone })
+                : clock.now().setZone(userTimezone);
+
             if (calendarSummary.todaysEvents && calendarSummary.todaysEvents.length > 0) {
-                briefingData += `\nTODAY'S EVENTS:\n`;
+                briefingData += `\nTODAY'S EVENTS (title | time | attendees | location | video link | conflicts):\n`;
                 calendarSummary.todaysEvents.forEach((event, index) => {
-                    const startTime = event.start?.dateTime
-                        ? new Date(event.start.dateTime).toLocaleTimeString()
-                        : "All day";
-                    briefingData += `${index + 1}. ${event.summary} at ${startTime}\n`;
+                    const conflicts = calendarSummary.conflicts?.[event.id] || [];
+                    briefingData += `${index + 1}. ${describeEvent(event, userTimezone, today, conflicts)}\n`;
+
+                    const related = calendarSummary.relatedEmails?.[event.id] || [];
+                    if (related.length > 0) {
+                        briefingData += `   Related emails:\n`;
+                        related.forEach(({ email, reasons }) => {
+                            briefingData += `   - ${email.subject} (from: ${email.from}) - Thread: ${email.threadLink || "N/A"} [matched: ${reasons.join(", ")}]\n`;
+                            if (email.snippet) {
+                                briefingData += `     "${email.snippet}"\n`;
+                            }
+                        });
+                    }
+                });
+            }
+
+            if (briefType === "wrap_up" && calendarSummary.tomorrowsEvents && calendarSummary.tomorrowsEvents.length > 0) {
+                briefingData += `\nTOMORROW'S FIRST MEETINGS:\n`;
+                calendarSummary.tomorrowsEvents.forEach((event, index) => {
+                    briefingData += `${index + 1}. ${describeEvent(event, userTimezone, today.plus({ days: 1 }))}\n`;
                 });
             }
         } else {
@@ -380,30 +1247,430 @@ Generate a comprehensive yet concise daily brief that helps the user prioritize
     }
 
     /**
-     * Generate basic daily brief (fallback)
+     * Generate basic daily brief (fallback) when no data could be gathered
      */
-    generateBasicBrief(todayFormatted, userTimezone, errorMessage = null) {
+    generateBasicBrief(todayFormatted, userTimezone, errorMessage = null, briefType = DEFAULT_BRIEF_TYPE) {
         console.log("📄 [BRIEF-GENERATOR] Generating basic fallback brief...");
 
-        let brief = `🍑 *Daily Brief - ${todayFormatted}*\n\n`;
-        
+        const brief = this.generateTemplateBrief(null, null, todayFormatted, userTimezone, briefType);
         if (errorMessage) {
-            brief += `⚠️ *Notice: Limited functionality due to: ${errorMessage}*\n\n`;
+            brief.notice = `Limited functionality due to: ${errorMessage}`;
         }
 
-        brief += `📧 *Email Brief:*\n`;
-        brief += `• Unable to access Gmail data at this time\n`;
-        brief += `• Please check your email manually\n\n`;
+        return brief;
+    }
+
+    /**
+     * Build the brief from the gathered data without the AI, e.g. during an
+     * Anthropic outage: real counts, top VIP and important emails, and the
+     * day's meetings, laid out in the brief type's sections
+     */
+    generateTemplateBrief(emailSummary, calendarSummary, todayFormatted, userTimezone, briefType = DEFAULT_BRIEF_TYPE, changes = null) {
+        console.log(`📄 [BRIEF-GENERATOR] Generating template ${briefType} brief without AI...`);
+
+        const brief = createBrief({
+            type: briefType,
+            title: getBriefTypeLabel(briefType),
+            date: todayFormatted,
+            timezone: userTimezone,
+            generatedAt: clock.nowISO(),
+            source: "template",
+            notice: emailSummary || calendarSummary
+                ? "AI summary unavailable right now, so this is the non-AI version of your brief."
+                : null,
+            footer: `Generated without AI at ${clock.now().setZone(userTimezone).toFormat("h:mm a")} ${userTimezone}`,
+        });
+
+        const today = calendarSummary?.date
+            ? DateTime.fromISO(calendarSummary.date, { zone: userTimezone })
+            : clock.now().setZone(userTimezone);
 
-        brief += `📅 *Calendar Brief:*\n`;
-        brief += `• Unable to access Calendar data at this time\n`;
-        brief += `• Please check your calendar manually\n\n`;
+        const emailSection = (layout) => {
+            if (!emailSummary) {
+                return createSection(layout.id, layout.emoji, layout.title, {
+                    items: ["Unable to access Gmail data at this time", "Please check your email manually"],
+                });
+            }
+            return createSection(layout.id, layout.emoji, layout.title, {
+                summary: `${emailSummary.unreadCount} unread, ${emailSummary.importantCount} important, ${emailSummary.vipCount} VIP`,
+                items: this.getTemplateEmailItems(emailSummary),
+            });
+        };
+
+        const eventSection = (layout, events, day, withDetails) => {
+            if (!calendarSummary) {
+                return createSection(layout.id, layout.emoji, layout.title, {
+                    items: ["Unable to access Calendar data at this time", "Please check your calendar manually"],
+                });
+            }
+            const items = this.getTemplateEventItems(calendarSummary, events, userTimezone, day, withDetails);
+            return createSection(layout.id, layout.emoji, layout.title, {
+                summary: items.length === 0 ? "No meetings" : null,
+                ordered: !!layout.ordered,
+                items,
+            });
+        };
+
+        brief.sections = getBriefTypeSections(briefType).map((layout) => {
+            // Generated sections are added by generateBriefWithData
+            if (layout.generated) return null;
+
+            switch (layout.id) {
+                case "changes": {
+                    const items = describeChanges(changes, userTimezone, today.toISODate()).map((change) => ({
+                        ...change,
+                        link: change.link ? { url: change.link, label: "View Thread" } : null,
+                    }));
+                    return items.length > 0 ? createSection(layout.id, layout.emoji, layout.title, { items }) : null;
+                }
+                case "email":
+                    return emailSection(layout);
+                case "calendar":
+                    return eventSection(layout, calendarSummary?.todaysEvents, today, true);
+                case "review": {
+                    const section = emailSection(layout);
+                    if (calendarSummary) {
+                        section.items.push(...this.getTemplateEventItems(calendarSummary, calendarSummary.todaysEvents, userTimezone, today, false));
+                    }
+                    return section;
+                }
+                case "tomorrow":
+                    return eventSection(layout, calendarSummary?.tomorrowsEvents, today.plus({ days: 1 }), false);
+                default:
+                    return createSection(layout.id, layout.emoji, layout.title, {
+                        summary: "Not available without AI",
+                    });
+            }
+        }).filter(Boolean);
+
+        return brief;
+    }
+
+    /**
+     * Generate the weekly brief's sections with the AI, falling back to the
+     * template version
+     */
+    async generateAIWeeklyBrief(weekly, todayFormatted, userTimezone, briefType) {
+        console.log(`🤖 [BRIEF-GENERATOR] Generating AI-powered weekly brief (${weekly.part})...`);
+
+        const briefingData = this.prepareWeeklyBriefingData(weekly, todayFormatted, userTimezone);
+        const { systemPrompt, userPrompt } = this.getWeeklyPrompts(briefType, weekly.part, briefingData);
+
+        try {
+            const response = await anthropic.messages.create({
+                model: BRIEF_MODEL,
+                max_tokens: 1200,
+                system: systemPrompt,
+                messages: [
+                    {
+                        role: "user",
+                        content: userPrompt,
+                    },
+                ],
+            });
+
+            const brief = createBrief({
+                type: briefType,
+                title: getBriefTypeLabel(briefType, weekly.part),
+                date: todayFormatted,
+                timezone: userTimezone,
+                generatedAt: clock.nowISO(),
+                generation: {
+                    model: BRIEF_MODEL,
+                    usage: response.usage
+                        ? { input_tokens: response.usage.input_tokens, output_tokens: response.usage.output_tokens }
+                        : null,
+                },
+            });
+            brief.sections = this.parseAIBriefSections(response.content[0].text, briefType, weekly.part);
+
+            return brief;
+
+        } catch (error) {
+            console.error("❌ [BRIEF-GENERATOR] AI generation failed, using the template weekly brief:", error);
+            return this.generateWeeklyTemplateBrief(weekly, todayFormatted, userTimezone, briefType);
+        }
+    }
+
+    /**
+     * Get the system and user prompts for one part of the weekly brief
+     */
+    getWeeklyPrompts(briefType, part, briefingData) {
+        const sectionIds = getBriefTypeSections(briefType, part).map((section) => `"${section.id}"`);
+        const responseFormat = `Respond with a single JSON object and nothing else, in this shape:
+{"sections": [{"id": "<section id>", "summary": "<one short line, or null>", "items": [{"text": "<item>", "meta": "<time, count or sender, or null>", "link": "<URL, or null>", "details": ["<sub-point>"]}]}]}
+
+Section ids: ${sectionIds.join(", ")}. Use plain text inside strings (no markdown).`;
+
+        if (part === "recap") {
+            const systemPrompt = `You are an expert executive assistant. Generate an end-of-week recap divided into EXACTLY THREE sections:
+
+1) "meeting_hours" (Meeting Hours)
+   - summary: total hours in meetings this week and the busiest day.
+   - items: one per day under MEETING HOURS, in order. text = the day exactly as given, meta = the hours as given.
+
+2) "email_trend" (Email Volume)
+   - summary: the trend under EMAIL VOLUME, exactly as given.
+   - items: one per day, in order. text = the day exactly as given, meta = "<count> emails".
+
+3) "open_threads" (Open Threads)
+   - items: the threads under OPEN THREADS that most need a reply, up to 10, VIP senders first. text = subject, meta = "from: <sender>", link = the thread link.
+   - If there are no open threads, use an empty items list.
+
+General Rules:
+- Do not add any extra sections beyond the three specified.
+- Use only the numbers given in the data; do not estimate.
+- If a block says the data is not available, use a single item saying so.
+
+${responseFormat}`;
+
+            const userPrompt = `Please create a weekly recap with EXACTLY three sections (meeting_hours, email_trend, open_threads). Here's the data:
+
+${briefingData}
+
+Generate a concise recap that helps the user close out the week.`;
+
+            return { systemPrompt, userPrompt };
+        }
+
+        const systemPrompt = `You are an expert executive assistant. Generate a week-ahead brief divided into EXACTLY THREE sections:
+
+1) "load" (Meeting Load)
+   - summary: total meetings and hours for the week, and the busiest day.
+   - items: one per day under MEETING LOAD, in order. text = the day exactly as given, meta = the meetings and hours as given.
+
+2) "key_meetings" (Key External Meetings)
+   - items: the meetings under KEY EXTERNAL MEETINGS, in order. text = event title, meta = the day and time exactly as given (e.g. "Wed, Oct 21, 2:00 PM - 3:00 PM"), link = the video link if there is one.
+   - details: who the meeting is with (the external domains given).
+
+3) "deadlines" (Deadlines)
+   - items: the TRACKED DEADLINES, then deadlines this week stated in the RECENT IMPORTANT EMAILS, soonest first. text = what is due, meta = the due date (e.g. "due Thu, Oct 22"), link = the thread link.
+   - Resolve weekdays and relative dates from the date the email was received. If there are no deadlines, use an empty items list.
+
+General Rules:
+- Do not add any extra sections beyond the three specified.
+- Use only the numbers given in the data; do not estimate.
+- If a block says the data is not available, use a single item saying so.
+
+${responseFormat}`;
+
+        const userPrompt = `Please create a week-ahead brief with EXACTLY three sections (load, key_meetings, deadlines). Here's the data:
+
+${briefingData}
+
+Generate a concise brief that helps the user plan their week.`;
+
+        return { systemPrompt, userPrompt };
+    }
+
+    /**
+     * Prepare the week's data for AI analysis
+     */
+    prepareWeeklyBriefingData(weekly, todayFormatted, userTimezone) {
+        const { part, range, calendarSummary, emailSummary, deadlines } = weekly;
+        let briefingData = `DATE: ${todayFormatted}\nTIMEZONE: ${userTimezone}\nPERIOD: ${range.label}\n\n`;
+
+        if (part === "recap") {
+            if (calendarSummary) {
+                briefingData += `MEETING HOURS (total ${formatHours(calendarSummary.totalHours)}):\n`;
+                describeBusyHours(calendarSummary.days).forEach((day) => {
+                    briefingData += `- ${day.text}: ${day.meta}\n`;
+                });
+            } else {
+                briefingData += `MEETING HOURS: Not available (connection issue)\n`;
+            }
+
+            if (emailSummary) {
+                const { volume } = emailSummary;
+                briefingData += `\nEMAIL VOLUME: ${describeEmailTrend(volume)}${volume.truncated ? " (lower bound, not all email was counted)" : ""}\n`;
+                volume.days.forEach((day) => {
+                    briefingData += `- ${day.label}: ${day.count}\n`;
+                });
+
+                briefingData += `\nOPEN THREADS (important or VIP, no reply yet):\n`;
+                if (emailSummary.openThreads.length === 0) briefingData += `- None\n`;
+                emailSummary.openThreads.forEach((email, index) => {
+                    briefingData += `${index + 1}. ${email.subject} (from: ${email.from}, received ${email.receivedAt.toFormat("EEE, MMM d")}) - Thread: ${email.threadLink || "N/A"}\n`;
+                });
+            } else {
+                briefingData += `\nEMAIL DATA: Not available (connection issue)\n`;
+            }
+
+            return briefingData;
+        }
+
+        if (calendarSummary) {
+            briefingData += `MEETING LOAD (total ${calendarSummary.totalMeetings} meetings, ${formatHours(calendarSummary.totalHours)}${calendarSummary.limitReached ? "; only the first events were fetched, so later days may be incomplete" : ""}):\n`;
+            describeMeetingLoad(calendarSummary.days).forEach((day) => {
+                briefingData += `- ${day.text}: ${day.meta}\n`;
+            });
+
+            briefingData += `\nKEY EXTERNAL MEETINGS (day | title | time | attendees | location | video link | external domains):\n`;
+            if (calendarSummary.keyMeetings.length === 0) briefingData += `- None\n`;
+            calendarSummary.keyMeetings.forEach(({ event, domains }, index) => {
+                const start = this.getEventStart(event, userTimezone);
+                briefingData += `${index + 1}. ${start.toFormat("EEE, MMM d")} | ${describeEvent(event, userTimezone, start)} | With: ${domains.join(", ")}\n`;
+            });
+        } else {
+            briefingData += `CALENDAR DATA: Not available (connection issue)\n`;
+        }
+
+        briefingData += `\nTRACKED DEADLINES:\n`;
+        if (deadlines.length === 0) briefingData += `- None\n`;
+        deadlines.forEach((item) => {
+            briefingData += `- ${item.text} (${describeDueDate(item.due_date, range.start)}) - Thread: ${item.thread_link}\n`;
+        });
+
+        if (emailSummary) {
+            briefingData += `\nRECENT IMPORTANT EMAILS:\n`;
+            emailSummary.importantEmails.forEach((email, index) => {
+                const received = DateTime.fromJSDate(new Date(email.date)).setZone(userTimezone);
+                briefingData += `${index + 1}. ${email.subject} (from: ${email.from}${received.isValid ? `, received ${received.toFormat("EEE, yyyy-MM-dd")}` : ""}) - Thread: ${email.threadLink || "N/A"}\n`;
+                if (email.snippet) {
+                    briefingData += `   "${email.snippet}"\n`;
+                }
+            });
+        } else {
+            briefingData += `\nEMAIL DATA: Not available (connection issue)\n`;
+        }
+
+        return briefingData;
+    }
+
+    /**
+     * Build the weekly brief from the gathered data without the AI
+     */
+    generateWeeklyTemplateBrief(weekly, todayFormatted, userTimezone, briefType) {
+        console.log(`📄 [BRIEF-GENERATOR] Generating template weekly brief (${weekly.part}) without AI...`);
+
+        const { part, range, calendarSummary, emailSummary, deadlines } = weekly;
+        const brief = createBrief({
+            type: briefType,
+            title: getBriefTypeLabel(briefType, part),
+            date: todayFormatted,
+            timezone: userTimezone,
+            generatedAt: clock.nowISO(),
+            source: "template",
+            notice: calendarSummary || emailSummary
+                ? "AI summary unavailable right now, so this is the non-AI version of your brief."
+                : null,
+            footer: `Generated without AI at ${clock.now().setZone(userTimezone).toFormat("h:mm a")} ${userTimezone}`,
+        });
+
+        const unavailable = (layout, service) =>
+            createSection(layout.id, layout.emoji, layout.title, {
+                items: [`Unable to access ${service} data at this time`],
+            });
+
+        brief.sections = getBriefTypeSections(briefType, part).map((layout) => {
+            switch (layout.id) {
+                case "load":
+                    if (!calendarSummary) return unavailable(layout, "Calendar");
+                    return createSection(layout.id, layout.emoji, layout.title, {
+                        summary: `${calendarSummary.totalMeetings} meetings, ${formatHours(calendarSummary.totalHours)}`,
+                        items: describeMeetingLoad(calendarSummary.days),
+                    });
+                case "key_meetings": {
+                    const items = (calendarSummary?.keyMeetings || []).map(({ event, domains }) => {
+                        const videoLink = getVideoLink(event);
+                        return {
+                            text: event.summary || "(no title)",
+                            meta: formatWeekEventTime(event, userTimezone),
+                            link: videoLink ? { url: videoLink, label: "Join Call" } : null,
+                            details: [`With: ${domains.join(", ")}`],
+                        };
+                    });
+                    return items.length > 0 ? createSection(layout.id, layout.emoji, layout.title, { items }) : null;
+                }
+                case "deadlines": {
+                    const items = describeActionItems(deadlines, range.start);
+                    return items.length > 0 ? createSection(layout.id, layout.emoji, layout.title, { items }) : null;
+                }
+                case "meeting_hours":
+                    if (!calendarSummary) return unavailable(layout, "Calendar");
+                    return createSection(layout.id, layout.emoji, layout.title, {
+                        summary: `${formatHours(calendarSummary.totalHours)} in meetings`,
+                        items: describeBusyHours(calendarSummary.days),
+                    });
+                case "email_trend":
+                    if (!emailSummary) return unavailable(layout, "Gmail");
+                    return createSection(layout.id, layout.emoji, layout.title, {
+                        summary: describeEmailTrend(emailSummary.volume),
+                        items: emailSummary.volume.days.map((day) => ({ text: day.label, meta: `${day.count} emails` })),
+                    });
+                case "open_threads": {
+                    const items = (emailSummary?.openThreads || []).map((email) => ({
+                        text: email.subject,
+                        meta: `from: ${email.from}`,
+                        link: email.threadLink ? { url: email.threadLink, label: "View Thread" } : null,
+                    }));
+                    return items.length > 0 ? createSection(layout.id, layout.emoji, layout.title, { items }) : null;
+                }
+                default:
+                    return createSection(layout.id, layout.emoji, layout.title, {
+                        summary: "Not available without AI",
+                    });
+            }
+        }).filter(Boolean);
 
-        brief += `💡 *Generated at ${DateTime.now().setZone(userTimezone).toFormat("h:mm a")} ${userTimezone}*`;
-        
         return brief;
     }
 
+    /**
+     * Top VIP and important emails for the template brief, VIP first
+     */
+    getTemplateEmailItems(emailSummary) {
+        const seen = new Set();
+        const items = [];
+        const emails = [
+            ...(emailSummary.vipEmails || []).map((email) => ({ email, vip: true })),
+            ...(emailSummary.importantEmails || []).map((email) => ({ email, vip: false })),
+        ];
+
+        for (const { email, vip } of emails) {
+            const id = this.getEmailId(email);
+            if (seen.has(id)) continue;
+            seen.add(id);
+
+            items.push(createItem(email.subject || "(no subject)", {
+                meta: `${vip ? "⭐ VIP · " : ""}from: ${email.from}`,
+                link: email.threadLink ? { url: email.threadLink, label: "View Thread" } : null,
+            }));
+            if (items.length === 5) break;
+        }
+
+        return items;
+    }
+
+    /**
+     * Meetings for the template brief with their local time range, video link,
+     * and optionally location, conflicts and related threads
+     */
+    getTemplateEventItems(calendarSummary, events, userTimezone, day, withDetails) {
+        return (events || [])
+            .filter((event) => event.status !== "cancelled")
+            .map((event) => {
+                const details = [];
+                if (withDetails) {
+                    const location = getLocation(event);
+                    if (location) details.push(`Location: ${location}`);
+                    for (const conflict of calendarSummary.conflicts?.[event.id] || []) {
+                        details.push(`${conflict.type === "overlap" ? "Overlaps with" : "Back-to-back with"} ${conflict.with}`);
+                    }
+                    for (const { email } of calendarSummary.relatedEmails?.[event.id] || []) {
+                        details.push(`Related: ${email.subject} (from: ${email.from})`);
+                    }
+                }
+
+                const videoLink = getVideoLink(event);
+                return createItem(event.summary || "(no title)", {
+                    meta: formatEventTime(event, userTimezone, day),
+                    link: videoLink ? { url: videoLink, label: "Join Call" } : null,
+                    details,
+                });
+            });
+    }
+
     /**
      * Add delay between operations
      */
@@ -446,7 +1713,7 @@ Generate a comprehensive yet concise daily brief that helps the user prioritize
      * Clean up expired cache entries
      */
     cleanupCache() {
-        const now = Date.now();
+        const now = clock.nowMillis();
         let cleaned = 0;
 
         for (const [key, data] of this.briefCache.entries()) {
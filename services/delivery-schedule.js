@@ -0,0 +1,287 @@
+// delivery-schedule.js
+const crypto = require("crypto");
+const { DateTime } = require("luxon");
+const clock = require("./clock");
+
+// Weekday keys used by user_preferences.weekly_schedule (luxon weekday 1-7)
+const WEEKDAY_KEYS = ["mon", "tue", "wed", "thu", "fri", "sat", "sun"];
+
+/**
+ * Parse a "HH:mm" or "HH:mm:ss" delivery time into hour and minute
+ */
+function parseDeliveryTime(deliveryTime) {
+    const match = /^(\d{1,2}):(\d{2})/.exec(String(deliveryTime || ""));
+    if (!match) {
+        throw new Error(`Invalid delivery time: ${deliveryTime}`);
+    }
+
+    const hour = parseInt(match[1], 10);
+    const minute = parseInt(match[2], 10);
+    if (hour > 23 || minute > 59) {
+        throw new Error(`Invalid delivery time: ${deliveryTime}`);
+    }
+
+    return { hour, minute };
+}
+
+/**
+ * Check that a timezone is a valid IANA zone name
+ */
+function isValidTimezone(timezone) {
+    return !!timezone && DateTime.now().setZone(timezone).isValid;
+}
+
+/**
+ * Resolve a delivery time on a given local date in the user's timezone.
+ *
+ * DST rules:
+ * - Spring forward: a time inside the skipped hour is moved forward by the
+ *   length of the gap (02:30 on a 02:00 -> 03:00 day fires at 03:30 local).
+ * - Fall back: a time that occurs twice resolves to the first occurrence.
+ */
+function resolveDeliveryTime(localDate, deliveryTime, timezone) {
+    const { hour, minute } = parseDeliveryTime(deliveryTime);
+
+    return DateTime.fromObject(
+        {
+            year: localDate.year,
+            month: localDate.month,
+            day: localDate.day,
+            hour,
+            minute,
+        },
+        { zone: timezone }
+    );
+}
+
+/**
+ * Get the delivery time ("HH:mm") for a local date, or null if the day is off.
+ *
+ * `weekly_schedule` maps weekday keys to a time or to null / "off", e.g.
+ * { "sat": "off", "sun": "18:00" }. Days it leaves out use `delivery_time`.
+ */
+function getDeliveryTimeForDate(user, localDate) {
+    const weekdayKey = WEEKDAY_KEYS[localDate.weekday - 1];
+    const weeklySchedule = user.weekly_schedule || {};
+
+    if (!Object.prototype.hasOwnProperty.call(weeklySchedule, weekdayKey)) {
+        return user.delivery_time || null;
+    }
+
+    const dayTime = weeklySchedule[weekdayKey];
+    if (!dayTime || dayTime === "off") {
+        return null;
+    }
+
+    return dayTime;
+}
+
+/**
+ * Validate a weekly schedule, throwing on unknown days or bad times
+ */
+function validateWeeklySchedule(weeklySchedule) {
+    if (weeklySchedule === null || weeklySchedule === undefined) return;
+
+    if (typeof weeklySchedule !== "object" || Array.isArray(weeklySchedule)) {
+        throw new Error("weekly_schedule must be an object keyed by weekday");
+    }
+
+    for (const [day, dayTime] of Object.entries(weeklySchedule)) {
+        if (!WEEKDAY_KEYS.includes(day)) {
+            throw new Error(`Unknown weekday in weekly_schedule: ${day}`);
+        }
+        if (dayTime && dayTime !== "off") {
+            parseDeliveryTime(dayTime);
+        }
+    }
+}
+
+/**
+ * Check whether a user has at least one delivery day in their week
+ */
+function hasDeliveryDays(user) {
+    const weeklySchedule = user.weekly_schedule || {};
+
+    return WEEKDAY_KEYS.some((day) =>
+        Object.prototype.hasOwnProperty.call(weeklySchedule, day)
+            ? !!weeklySchedule[day] && weeklySchedule[day] !== "off"
+            : !!user.delivery_time
+    );
+}
+
+/**
+ * Get the next delivery instant strictly after `after` for a user,
+ * honoring their weekly schedule. Returns null if every day is off.
+ */
+function getNextDeliveryTime(user, after = clock.now()) {
+    if (!isValidTimezone(user.timezone)) {
+        throw new Error(`Invalid timezone: ${user.timezone}`);
+    }
+
+    const reference = DateTime.fromMillis(after.valueOf()).setZone(
+        user.timezone
+    );
+
+    // Look one day past a full week so today's passed slot can recur
+    for (let offset = 0; offset <= WEEKDAY_KEYS.length; offset++) {
+        const localDate = reference.plus({ days: offset });
+        const deliveryTime = getDeliveryTimeForDate(user, localDate);
+        if (!deliveryTime) continue;
+
+        const candidate = resolveDeliveryTime(
+            localDate,
+            deliveryTime,
+            user.timezone
+        );
+        if (candidate > reference) {
+            return candidate;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Get the most recent delivery instant at or before `before` for a user,
+ * honoring their weekly schedule. Returns null if every day is off.
+ */
+function getPreviousDeliveryTime(user, before = clock.now()) {
+    if (!isValidTimezone(user.timezone)) {
+        throw new Error(`Invalid timezone: ${user.timezone}`);
+    }
+
+    const reference = DateTime.fromMillis(before.valueOf()).setZone(
+        user.timezone
+    );
+
+    for (let offset = 0; offset <= WEEKDAY_KEYS.length; offset++) {
+        const localDate = reference.minus({ days: offset });
+        const deliveryTime = getDeliveryTimeForDate(user, localDate);
+        if (!deliveryTime) continue;
+
+        const candidate = resolveDeliveryTime(
+            localDate,
+            deliveryTime,
+            user.timezone
+        );
+        if (candidate <= reference) {
+            return candidate;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Parse a pause entry's start and end into dates. Returns null for an entry
+ * that is not an object, has neither bound, or has a bound that is not a
+ * "yyyy-MM-dd" date.
+ */
+function parsePause(pause) {
+    if (!pause || typeof pause !== "object" || Array.isArray(pause)) {
+        return null;
+    }
+    if (!pause.start && !pause.end) return null;
+
+    const parse = (value) =>
+        value ? DateTime.fromFormat(String(value), "yyyy-MM-dd") : null;
+    const start = parse(pause.start);
+    const end = parse(pause.end);
+    if ((start && !start.isValid) || (end && !end.isValid)) return null;
+
+    return { start, end };
+}
+
+/**
+ * Find the pause covering a local date, or null.
+ *
+ * `pauses` is a list of { start, end, reason } with "yyyy-MM-dd" dates in the
+ * user's timezone, both inclusive. A pause without start covers every day up
+ * to its end; one without end is open-ended. Entries parsePause rejects are
+ * ignored, so a bad entry never pauses or breaks delivery.
+ */
+function getActivePause(user, localDate) {
+    const day = DateTime.fromFormat(
+        localDate.toFormat("yyyy-MM-dd"),
+        "yyyy-MM-dd"
+    );
+    const pauses = Array.isArray(user.pauses) ? user.pauses : [];
+
+    return (
+        pauses.find((pause) => {
+            const range = parsePause(pause);
+            return (
+                !!range &&
+                (!range.start || range.start <= day) &&
+                (!range.end || day <= range.end)
+            );
+        }) || null
+    );
+}
+
+/**
+ * Validate pause ranges, throwing on entries that are not { start, end }
+ * objects with at least one bound, bad dates or reversed ranges
+ */
+function validatePauses(pauses) {
+    if (pauses === null || pauses === undefined) return;
+
+    if (!Array.isArray(pauses)) {
+        throw new Error("pauses must be an array of { start, end }");
+    }
+
+    for (const pause of pauses) {
+        if (!pause || typeof pause !== "object" || Array.isArray(pause)) {
+            throw new Error(`Invalid pause entry: ${JSON.stringify(pause)}`);
+        }
+        if (!pause.start && !pause.end) {
+            throw new Error("A pause needs a start, an end, or both");
+        }
+        for (const field of ["start", "end"]) {
+            if (
+                pause[field] &&
+                !DateTime.fromFormat(String(pause[field]), "yyyy-MM-dd")
+                    .isValid
+            ) {
+                throw new Error(`Invalid pause ${field} date: ${pause[field]}`);
+            }
+        }
+
+        const { start, end } = parsePause(pause);
+        if (start && end && end < start) {
+            throw new Error(
+                `Pause ends before it starts: ${pause.start} - ${pause.end}`
+            );
+        }
+    }
+}
+
+/**
+ * Deterministic per-user delay in [0, maxSeconds], used to spread briefs
+ * that share a delivery time. The same user and brief type always get the
+ * same offset, so a user's brief lands at a consistent time each day.
+ */
+function getDeliveryJitterSeconds(userId, briefType, maxSeconds) {
+    if (!maxSeconds || maxSeconds <= 0) return 0;
+
+    const digest = crypto
+        .createHash("sha256")
+        .update(`${userId}:${briefType}`)
+        .digest();
+    return digest.readUInt32BE(0) % (maxSeconds + 1);
+}
+
+module.exports = {
+    WEEKDAY_KEYS,
+    parseDeliveryTime,
+    isValidTimezone,
+    resolveDeliveryTime,
+    getDeliveryTimeForDate,
+    validateWeeklySchedule,
+    hasDeliveryDays,
+    getNextDeliveryTime,
+    getPreviousDeliveryTime,
+    getActivePause,
+    validatePauses,
+    getDeliveryJitterSeconds,
+};
@@ -0,0 +1,249 @@
+// delivery-tasks.js
+const { DateTime } = require("luxon");
+const {
+    getNextDeliveryTime,
+    getActivePause,
+    validatePauses,
+    isValidTimezone,
+    validateWeeklySchedule,
+    hasDeliveryDays,
+} = require("./delivery-schedule");
+const { getUserBriefSchedules } = require("./brief-types");
+const clock = require("./clock");
+
+// The per-user delivery timers and the schedule rules behind them. Nothing
+// here touches Supabase, the webhook or Google: the scheduler passes in what
+// to do with a due slot, and simulateDeliveries just records it.
+
+// Long waits are split so the timer is re-checked against the wall clock
+const MAX_TIMER_MS = 60 * 60 * 1000;
+
+// Tasks started and not yet stopped, in this process
+let runningTaskCount = 0;
+
+// Key for a user's task of a given brief type
+function getTaskKey(userId, briefType) {
+    return `${userId}:${briefType}`;
+}
+
+// Per-user delivery task for one brief type, fired at the local delivery time,
+// or `leadMinutes` before it. `onDue(user, briefType, scheduledAt)` handles
+// each due slot.
+function createUserDeliveryTask(user, schedule, onDue, { leadMinutes = 0 } = {}) {
+    let timer = null;
+
+    const task = {
+        userId: user.user_id,
+        briefType: schedule.briefType,
+        running: false,
+        nextRun: null,
+        start() {
+            if (!task.running) runningTaskCount++;
+            task.running = true;
+            scheduleNext();
+        },
+        stop() {
+            if (task.running) runningTaskCount--;
+            task.running = false;
+            task.nextRun = null;
+            clock.clearTimeout(timer);
+        },
+    };
+
+    function scheduleNext(after = clock.now()) {
+        if (!task.running) return;
+
+        task.nextRun = getNextDeliveryTime(schedule, after);
+        if (!task.nextRun) return;
+
+        armTimer();
+    }
+
+    // Fires leadMinutes before the delivery time (or at it)
+    function armTimer() {
+        const fireAt = task.nextRun.minus({ minutes: leadMinutes });
+        const remaining = fireAt.toMillis() - clock.nowMillis();
+
+        if (remaining > 0) {
+            timer = clock.setTimeout(
+                armTimer,
+                Math.min(remaining, MAX_TIMER_MS)
+            );
+            return;
+        }
+
+        const slot = task.nextRun;
+        onDue(user, schedule.briefType, slot)
+            .catch((error) =>
+                console.error(
+                    `❌ [SCHEDULER] Error queueing ${schedule.briefType} brief for ${user.user_id}:`,
+                    error
+                )
+            )
+            .finally(() => scheduleNext(DateTime.max(clock.now(), slot)));
+    }
+
+    console.log(
+        `📅 [SCHEDULER] Scheduling ${schedule.briefType} brief for ${user.user_id} at ${schedule.delivery_time} (${user.timezone})`,
+        schedule.weekly_schedule
+            ? { weeklySchedule: schedule.weekly_schedule }
+            : ""
+    );
+
+    return task;
+}
+
+// Check a brief type schedule can be scheduled, logging why not
+function isSchedulable(user, schedule) {
+    if (!(schedule.delivery_time || schedule.weekly_schedule)) {
+        console.warn(
+            `⚠️ [SCHEDULER] Skipping ${schedule.briefType} brief for ${user.user_id} - no delivery_time or weekly_schedule`
+        );
+        return false;
+    }
+
+    try {
+        validateWeeklySchedule(schedule.weekly_schedule);
+    } catch (error) {
+        console.warn(
+            `⚠️ [SCHEDULER] Skipping ${schedule.briefType} brief for ${user.user_id} - ${error.message}`
+        );
+        return false;
+    }
+
+    if (!hasDeliveryDays(schedule)) {
+        console.log(
+            `⏭️ [SCHEDULER] Skipping ${schedule.briefType} brief for ${user.user_id} - every day is off in weekly_schedule`
+        );
+        return false;
+    }
+
+    return true;
+}
+
+// Check a preferences row can be scheduled at all, logging why not
+function isValidUser(user) {
+    if (!user.user_id || !user.timezone) {
+        console.warn(
+            `⚠️ [SCHEDULER] Skipping user ${user.user_id} - missing required fields:`,
+            {
+                user_id: !!user.user_id,
+                timezone: !!user.timezone,
+                user_email: !!user.user_email,
+            }
+        );
+        return false;
+    }
+
+    if (!isValidTimezone(user.timezone)) {
+        console.warn(
+            `⚠️ [SCHEDULER] Skipping user ${user.user_id} - invalid timezone: ${user.timezone}`
+        );
+        return false;
+    }
+
+    return true;
+}
+
+// Fields that decide when a brief type fires; a task is only rescheduled
+// when one of them changes
+function getScheduleFingerprint(schedule) {
+    return JSON.stringify([
+        schedule.timezone,
+        schedule.delivery_time || null,
+        schedule.weekly_schedule || null,
+    ]);
+}
+
+// Desired tasks for a user, keyed by getTaskKey
+function getDesiredSchedules(user) {
+    const desired = new Map();
+    if (!user || !user.slack_user_id || !isValidUser(user)) return desired;
+
+    try {
+        validatePauses(user.pauses);
+    } catch (error) {
+        // getActivePause ignores bad entries, so the valid ones still apply
+        console.warn(
+            `⚠️ [SCHEDULER] Invalid pauses for ${user.user_id} - ${error.message}`
+        );
+    }
+
+    for (const schedule of getUserBriefSchedules(user)) {
+        if (!isSchedulable(user, schedule)) continue;
+        desired.set(getTaskKey(user.user_id, schedule.briefType), schedule);
+    }
+
+    return desired;
+}
+
+// Why a delivery on a local date would be skipped before any calendar
+// lookup, or null if it would be sent
+function getSkipReason(user, localDate) {
+    const pause = getActivePause(user, localDate);
+    if (pause) return `Paused${pause.reason ? `: ${pause.reason}` : ""}`;
+    if (!user.slack_user_id) return "No slack_user_id configured";
+    return null;
+}
+
+// Fast-forward a simulated clock from `from` to `to` through the same
+// per-user timers the scheduler arms, and return every delivery that would
+// fire, in order. Nothing is queued or sent. Used for DST and midnight
+// checks, so it refuses to run next to running delivery tasks.
+async function simulateDeliveries(users, from, to) {
+    if (runningTaskCount > 0 || clock.isSimulated()) {
+        throw new Error("Cannot simulate while the scheduler is running");
+    }
+
+    const simulatedClock = new clock.SimulatedClock(from);
+    clock.setClock(simulatedClock);
+
+    const fired = [];
+    const tasks = [];
+    const recordDelivery = async (user, briefType, scheduledAt) => {
+        const localAt = scheduledAt.setZone(user.timezone);
+        const skipReason = getSkipReason(user, localAt);
+        fired.push({
+            userId: user.user_id,
+            briefType,
+            local: localAt.toISO(),
+            utc: scheduledAt.toUTC().toISO(),
+            firedAt: clock.nowISO(),
+            status: skipReason ? "skipped" : "sent",
+            skipReason,
+        });
+    };
+
+    try {
+        for (const user of users) {
+            getDesiredSchedules(user).forEach((schedule) => {
+                const task = createUserDeliveryTask(
+                    user,
+                    schedule,
+                    recordDelivery
+                );
+                tasks.push(task);
+                task.start();
+            });
+        }
+
+        await simulatedClock.advanceTo(
+            typeof to === "string" ? DateTime.fromISO(to) : to
+        );
+    } finally {
+        tasks.forEach((task) => task.stop());
+        clock.setClock(null);
+    }
+
+    return fired;
+}
+
+module.exports = {
+    MAX_TIMER_MS,
+    getTaskKey,
+    createUserDeliveryTask,
+    getDesiredSchedules,
+    getScheduleFingerprint,
+    getSkipReason,
+    simulateDeliveries,
+};
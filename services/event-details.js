@@ -0,0 +1,196 @@
+// event-details.js
+const { DateTime } = require("luxon");
+
+// Meetings starting this soon after another ends count as back-to-back
+const BACK_TO_BACK_GAP_MINUTES = 5;
+
+// Video call URLs people paste into the location or description
+const VIDEO_LINK_PATTERN =
+    /https:\/\/(?:[\w-]+\.)?(?:zoom\.us|meet\.google\.com|teams\.microsoft\.com|teams\.live\.com|webex\.com|whereby\.com|around\.co)\/[^\s"<>)]+/i;
+
+/**
+ * Get an event's start as a DateTime in the user's timezone, or null
+ */
+function getEventStart(event, timezone) {
+    if (event.start?.dateTime) {
+        return DateTime.fromISO(event.start.dateTime).setZone(timezone);
+    }
+    if (event.start?.date) {
+        return DateTime.fromISO(event.start.date, { zone: timezone });
+    }
+    return null;
+}
+
+/**
+ * Get an event's end as a DateTime in the user's timezone (exclusive for
+ * all-day events), falling back to the start
+ */
+function getEventEnd(event, timezone) {
+    if (event.end?.dateTime) {
+        return DateTime.fromISO(event.end.dateTime).setZone(timezone);
+    }
+    if (event.end?.date) {
+        return DateTime.fromISO(event.end.date, { zone: timezone });
+    }
+
+    const start = getEventStart(event, timezone);
+    return start && event.start?.date ? start.plus({ days: 1 }) : start;
+}
+
+function isAllDay(event) {
+    return !!event.start?.date && !event.start?.dateTime;
+}
+
+/**
+ * Human time range for an event as seen on `day`, in the user's timezone:
+ * "9:00 AM - 9:30 AM", "All day", "All day (day 2 of 3, Oct 18 - Oct 20)",
+ * or "Oct 18, 10:00 PM - 2:00 AM" for a meeting that started the day before
+ */
+function formatEventTime(event, timezone, day) {
+    const start = getEventStart(event, timezone);
+    const end = getEventEnd(event, timezone);
+    if (!start) return "Time unknown";
+
+    if (isAllDay(event)) {
+        const totalDays = Math.max(1, Math.round(end.diff(start, "days").days));
+        if (totalDays === 1) return "All day";
+
+        const dayNumber = Math.min(
+            Math.max(
+                Math.floor(day.startOf("day").diff(start, "days").days) + 1,
+                1
+            ),
+            totalDays
+        );
+        const range = `${start.toFormat("MMM d")} - ${end
+            .minus({ days: 1 })
+            .toFormat("MMM d")}`;
+        return `All day (day ${dayNumber} of ${totalDays}, ${range})`;
+    }
+
+    const format = (time) =>
+        time.hasSame(day, "day")
+            ? time.toFormat("h:mm a")
+            : time.toFormat("MMM d, h:mm a");
+    return `${format(start)} - ${format(end)}`;
+}
+
+/**
+ * Number of people invited (rooms and other resources excluded)
+ */
+function getAttendeeCount(event) {
+    return (event.attendees || []).filter((attendee) => !attendee.resource)
+        .length;
+}
+
+/**
+ * Video call link from conference data, Hangouts, or a URL in the
+ * location or description
+ */
+function getVideoLink(event) {
+    const entryPoint = (event.conferenceData?.entryPoints || []).find(
+        (entry) => entry.entryPointType === "video" && entry.uri
+    );
+    if (entryPoint) return entryPoint.uri;
+    if (event.hangoutLink) return event.hangoutLink;
+
+    const match = `${event.location || ""} ${event.description || ""}`.match(
+        VIDEO_LINK_PATTERN
+    );
+    return match ? match[0] : null;
+}
+
+/**
+ * Physical location, leaving out locations that are just a video link
+ */
+function getLocation(event) {
+    const location = (event.location || "").trim();
+    if (!location || VIDEO_LINK_PATTERN.test(location)) return null;
+    return location;
+}
+
+/**
+ * Flag timed meetings that overlap or run back-to-back.
+ * Returns { [eventId]: [{ type: "overlap" | "back_to_back", with: summary }] }
+ */
+function findScheduleConflicts(events, timezone) {
+    const timed = (events || [])
+        .filter(
+            (event) =>
+                event.id && event.status !== "cancelled" && !isAllDay(event)
+        )
+        .map((event) => ({
+            event,
+            start: getEventStart(event, timezone),
+            end: getEventEnd(event, timezone),
+        }))
+        .filter(({ start, end }) => start && end)
+        .sort((a, b) => a.start - b.start);
+
+    const conflicts = {};
+    const flag = (event, type, other) => {
+        conflicts[event.id] = conflicts[event.id] || [];
+        conflicts[event.id].push({ type, with: other.summary || "(no title)" });
+    };
+
+    for (let i = 0; i < timed.length; i++) {
+        for (let j = i + 1; j < timed.length; j++) {
+            const earlier = timed[i];
+            const later = timed[j];
+            const gapMinutes = later.start.diff(earlier.end, "minutes").minutes;
+
+            // Sorted by start, so every later meeting starts later still
+            if (gapMinutes > BACK_TO_BACK_GAP_MINUTES) break;
+
+            const type = gapMinutes < 0 ? "overlap" : "back_to_back";
+            flag(earlier.event, type, later.event);
+            flag(later.event, type, earlier.event);
+        }
+    }
+
+    return conflicts;
+}
+
+/**
+ * One-line description of an event for the AI briefing data
+ */
+function describeEvent(event, timezone, day, conflicts = []) {
+    const parts = [
+        event.summary || "(no title)",
+        formatEventTime(event, timezone, day),
+    ];
+
+    const attendeeCount = getAttendeeCount(event);
+    if (attendeeCount > 0) {
+        parts.push(
+            `${attendeeCount} attendee${attendeeCount === 1 ? "" : "s"}`
+        );
+    }
+
+    const location = getLocation(event);
+    if (location) parts.push(`Location: ${location}`);
+
+    const videoLink = getVideoLink(event);
+    if (videoLink) parts.push(`Video: ${videoLink}`);
+
+    for (const conflict of conflicts) {
+        parts.push(
+            conflict.type === "overlap"
+                ? `⚠️ Overlaps with "${conflict.with}"`
+                : `⏱️ Back-to-back with "${conflict.with}"`
+        );
+    }
+
+    return parts.join(" | ");
+}
+
+module.exports = {
+    getEventStart,
+    getEventEnd,
+    formatEventTime,
+    getAttendeeCount,
+    getVideoLink,
+    getLocation,
+    findScheduleConflicts,
+    describeEvent,
+};
@@ -0,0 +1,198 @@
+// meeting-correlation.js
+
+// Links today's meetings to recent email threads so the Calendar Brief can
+// give each meeting real context. An email is scored against an event on:
+// - who sent it: the organizer, or an attendee of a small meeting
+// - who else it went to: other attendees
+// - the sender's company: same domain as an external attendee
+// - the subject: words shared with the event title
+// Matches scoring at least MATCH_THRESHOLD are kept, best first.
+
+const MATCH_THRESHOLD = 3;
+const MAX_THREADS_PER_EVENT = 3;
+
+// Above this many attendees, being an attendee says little about relevance
+const SMALL_MEETING_SIZE = 10;
+
+// Domains shared by unrelated people, so a domain match means nothing
+const PUBLIC_EMAIL_DOMAINS = new Set([
+    "gmail.com",
+    "googlemail.com",
+    "outlook.com",
+    "hotmail.com",
+    "live.com",
+    "yahoo.com",
+    "icloud.com",
+    "me.com",
+    "proton.me",
+    "protonmail.com",
+]);
+
+// Words too common in meeting titles and subjects to signal a match
+const STOPWORDS = new Set([
+    "the", "and", "for", "with", "from", "about", "your", "our", "you",
+    "re", "fw", "fwd", "meeting", "call", "sync", "chat", "catch", "up",
+    "weekly", "daily", "monthly", "invitation", "invite", "updated",
+    "accepted", "declined", "tentative", "event", "calendar", "zoom", "meet",
+]);
+
+/**
+ * Pull the address out of "Name <address>" (lowercased), or null
+ */
+function extractAddress(value) {
+    if (!value) return null;
+    const text = String(value);
+    const match =
+        text.match(/<([^>]+)>/) || text.match(/([^\s,;<>"]+@[^\s,;<>"]+)/);
+    return match ? match[1].trim().toLowerCase() : null;
+}
+
+/**
+ * All addresses in a header value or list of values
+ */
+function extractAddresses(value) {
+    if (!value) return [];
+    const values = Array.isArray(value) ? value : String(value).split(",");
+    return values.map(extractAddress).filter(Boolean);
+}
+
+function getDomain(address) {
+    return address ? address.split("@")[1] || null : null;
+}
+
+/**
+ * Lowercased significant words of a title or subject
+ */
+function tokenize(text) {
+    return new Set(
+        String(text || "")
+            .toLowerCase()
+            .replace(/^((re|fwd?|fw)\s*:\s*)+/i, "")
+            .split(/[^a-z0-9]+/)
+            .filter((word) => word.length >= 3 && !STOPWORDS.has(word))
+    );
+}
+
+/**
+ * Share of the event title's words that appear in the subject (0-1)
+ */
+function titleSimilarity(title, subject) {
+    const titleWords = tokenize(title);
+    if (titleWords.size === 0) return 0;
+
+    const subjectWords = tokenize(subject);
+    let shared = 0;
+    titleWords.forEach((word) => {
+        if (subjectWords.has(word)) shared++;
+    });
+    return shared / titleWords.size;
+}
+
+/**
+ * Stable key for an email's thread, so a thread is only matched once
+ */
+function getThreadKey(email) {
+    return (
+        email.threadId ||
+        email.threadLink ||
+        email.id ||
+        `${email.from}|${email.subject}`
+    );
+}
+
+/**
+ * Score how likely an email is to be about an event, with the reasons
+ */
+function scoreEmailForEvent(event, email, selfEmail) {
+    const self = (selfEmail || "").toLowerCase();
+    const attendees = (event.attendees || [])
+        .filter((attendee) => !attendee.resource)
+        .map((attendee) => (attendee.email || "").toLowerCase())
+        .filter((address) => address && address !== self);
+    const organizer = (event.organizer?.email || "").toLowerCase();
+    const sender = extractAddress(email.from);
+
+    let score = 0;
+    const reasons = [];
+
+    if (sender && sender !== self) {
+        if (sender === organizer) {
+            score += 3;
+            reasons.push("from the organizer");
+        } else if (attendees.includes(sender)) {
+            score += attendees.length <= SMALL_MEETING_SIZE ? 3 : 1;
+            reasons.push("from an attendee");
+        } else {
+            const domain = getDomain(sender);
+            const selfDomain = getDomain(self);
+            if (
+                domain &&
+                domain !== selfDomain &&
+                !PUBLIC_EMAIL_DOMAINS.has(domain) &&
+                attendees.some((address) => getDomain(address) === domain)
+            ) {
+                score += 2;
+                reasons.push(`same company as an attendee (${domain})`);
+            }
+        }
+    }
+
+    const otherRecipients = [
+        ...extractAddresses(email.to),
+        ...extractAddresses(email.cc),
+    ].filter((address) => address !== self && attendees.includes(address));
+    if (otherRecipients.length > 0) {
+        score += Math.min(otherRecipients.length, 2);
+        reasons.push("also sent to attendees");
+    }
+
+    const similarity = titleSimilarity(event.summary, email.subject);
+    if (similarity >= 0.5) {
+        score += Math.round(similarity * 4);
+        reasons.push("subject matches the title");
+    }
+
+    return { score, reasons };
+}
+
+/**
+ * Match events to the emails most likely related to them.
+ * Returns { [eventId]: [{ email, score, reasons }] }, best match first.
+ */
+function correlateEmailsToEvents(events, emails, selfEmail) {
+    const uniqueEmails = new Map();
+    for (const email of emails || []) {
+        const key = getThreadKey(email);
+        if (!uniqueEmails.has(key)) uniqueEmails.set(key, email);
+    }
+
+    const matches = {};
+    for (const event of events || []) {
+        if (!event.id || event.status === "cancelled") continue;
+
+        const scored = [];
+        uniqueEmails.forEach((email) => {
+            const { score, reasons } = scoreEmailForEvent(
+                event,
+                email,
+                selfEmail
+            );
+            if (score >= MATCH_THRESHOLD) scored.push({ email, score, reasons });
+        });
+
+        if (scored.length > 0) {
+            matches[event.id] = scored
+                .sort((a, b) => b.score - a.score)
+                .slice(0, MAX_THREADS_PER_EVENT);
+        }
+    }
+
+    return matches;
+}
+
+module.exports = {
+    correlateEmailsToEvents,
+    scoreEmailForEvent,
+    titleSimilarity,
+    extractAddress,
+};
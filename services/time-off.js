@@ -0,0 +1,156 @@
+// time-off.js
+const { DateTime } = require("luxon");
+const { GoogleAPIClient } = require("../handlers/gmail-calendar-client");
+
+const googleClient = new GoogleAPIClient();
+
+// What to do when the calendar shows the user is off: "skip" sends nothing,
+// "note" sends a short "you're off today" message, "ignore" sends the brief
+const TIME_OFF_BEHAVIORS = ["skip", "note", "ignore"];
+const DEFAULT_TIME_OFF_BEHAVIOR = "note";
+
+// All-day events with these titles count as time off
+const TIME_OFF_TITLE_PATTERN =
+    /\b(out of (the )?office|ooo|vacation|holiday|pto|annual leave|day off|sick leave)\b/i;
+
+// Upcoming events to look through for one covering the user's day
+const UPCOMING_EVENTS_LIMIT = 20;
+
+// Google's public-holiday calendars, e.g. en.usa#holiday@group.v.calendar.google.com
+const HOLIDAY_CALENDAR_PATTERN =
+    /^[\w.-]+#holiday@group\.v\.calendar\.google\.com$/;
+
+/**
+ * Get the configured time-off behavior for a user
+ */
+function getTimeOffBehavior(user) {
+    return TIME_OFF_BEHAVIORS.includes(user.time_off_behavior)
+        ? user.time_off_behavior
+        : DEFAULT_TIME_OFF_BEHAVIOR;
+}
+
+// A timed event must span this part of the local day to count as a day off
+const WORKDAY_START_HOUR = 9;
+const WORKDAY_END_HOUR = 17;
+
+/**
+ * Check whether an event covers a local day: the whole date for all-day
+ * events, the working day for timed ones
+ */
+function coversDay(event, dayStart, timezone) {
+    // All-day events use dates, with an exclusive end date
+    if (event.start?.date) {
+        const start = DateTime.fromISO(event.start.date, { zone: timezone });
+        const end = event.end?.date
+            ? DateTime.fromISO(event.end.date, { zone: timezone })
+            : start.plus({ days: 1 });
+        return start <= dayStart && end >= dayStart.plus({ days: 1 });
+    }
+
+    if (event.start?.dateTime && event.end?.dateTime) {
+        const start = DateTime.fromISO(event.start.dateTime);
+        const end = DateTime.fromISO(event.end.dateTime);
+        return (
+            start <= dayStart.set({ hour: WORKDAY_START_HOUR }) &&
+            end >= dayStart.set({ hour: WORKDAY_END_HOUR })
+        );
+    }
+
+    return false;
+}
+
+/**
+ * Get the user's public-holiday calendar ID, or null if none is set
+ */
+function getHolidayCalendar(user) {
+    return HOLIDAY_CALENDAR_PATTERN.test(user.holiday_calendar || "")
+        ? user.holiday_calendar
+        : null;
+}
+
+/**
+ * Find the event that marks a local day as time off, with a reason.
+ * All-day events on the holiday calendar are public holidays, except the
+ * ones Google marks as observances (e.g. Valentine's Day).
+ */
+function findTimeOffEvent(events, timezone, localDate, holidayEvents = []) {
+    const dayStart = localDate.setZone(timezone).startOf("day");
+
+    for (const event of holidayEvents || []) {
+        if (event.status === "cancelled") continue;
+        if (!event.start?.date) continue;
+        if (/^observance\b/i.test(event.description || "")) continue;
+        if (!coversDay(event, dayStart, timezone)) continue;
+
+        return {
+            event,
+            reason: `Public holiday: ${event.summary || "Holiday"}`,
+        };
+    }
+
+    for (const event of events || []) {
+        if (event.status === "cancelled") continue;
+        if (!coversDay(event, dayStart, timezone)) continue;
+
+        const title = event.summary || "Out of office";
+
+        if (event.eventType === "outOfOffice") {
+            return { event, reason: `Out of office: ${title}` };
+        }
+        if (event.start?.date && TIME_OFF_TITLE_PATTERN.test(title)) {
+            return { event, reason: title };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Check the user's calendar for time off on the delivery date.
+ * Returns { event, reason } or null.
+ *
+ * "Today" on the main project is its own server's day, which is not the
+ * user's local date in every timezone. Upcoming events start from now and
+ * include ones in progress, so together they cover the user's day. The
+ * holiday calendar, if the user has one, is read for their local day.
+ */
+async function detectTimeOff(user, localDate) {
+    const holidayCalendar = getHolidayCalendar(user);
+    const dayStart = localDate.setZone(user.timezone).startOf("day");
+
+    const [todaysEvents, upcomingEvents, holidayEvents] = await Promise.all([
+        googleClient.getTodaysEvents(user.user_email),
+        googleClient.getUpcomingEvents(user.user_email, UPCOMING_EVENTS_LIMIT),
+        holidayCalendar
+            ? googleClient.getCalendarEvents(
+                  user.user_email,
+                  holidayCalendar,
+                  dayStart.toISO(),
+                  dayStart.plus({ days: 1 }).toISO()
+              )
+            : [],
+    ]);
+
+    return findTimeOffEvent(
+        [...todaysEvents, ...upcomingEvents],
+        user.timezone,
+        localDate,
+        holidayEvents
+    );
+}
+
+/**
+ * Build the short message sent instead of a brief on a day off
+ */
+function buildTimeOffNote(label, localDate, reason) {
+    return `🌴 *${label} - ${localDate.toFormat("EEEE, MMMM d, yyyy")}*\n\nYou're off today (${reason}), so there's no brief. Enjoy your time off!`;
+}
+
+module.exports = {
+    TIME_OFF_BEHAVIORS,
+    getTimeOffBehavior,
+    getHolidayCalendar,
+    findTimeOffEvent,
+    detectTimeOff,
+    buildTimeOffNote,
+};
@@ -0,0 +1,109 @@
+// vip-senders.js
+const { extractAddress } = require("./meeting-correlation");
+
+// Gmail label that marks VIP mail for users who already keep one
+const VIP_LABEL = "VIP";
+
+// Keeps the Gmail search query a sensible length
+const MAX_VIP_SENDERS = 50;
+
+/**
+ * Clean a user's VIP list: lowercased addresses ("ann@acme.com") and
+ * domains ("acme.com", "@acme.com" is accepted too), invalid entries dropped
+ */
+function normalizeVipSenders(vipSenders) {
+    if (!Array.isArray(vipSenders)) return [];
+
+    const entries = vipSenders
+        .map((entry) =>
+            String(entry || "")
+                .trim()
+                .toLowerCase()
+                .replace(/^@/, "")
+        )
+        .filter(isValidVipSender);
+
+    return [...new Set(entries)].slice(0, MAX_VIP_SENDERS);
+}
+
+function isValidVipSender(entry) {
+    return /^([^\s@"()]+@)?[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(entry);
+}
+
+/**
+ * Validate a VIP list before saving it, throwing on entries that are neither
+ * an address nor a domain
+ */
+function validateVipSenders(vipSenders) {
+    if (vipSenders === null || vipSenders === undefined) return;
+
+    if (!Array.isArray(vipSenders)) {
+        throw new Error("vip_senders must be an array of addresses or domains");
+    }
+
+    for (const entry of vipSenders) {
+        const value = String(entry || "")
+            .trim()
+            .toLowerCase()
+            .replace(/^@/, "");
+        if (!isValidVipSender(value)) {
+            throw new Error(`Invalid VIP sender: ${entry}`);
+        }
+    }
+
+    if (vipSenders.length > MAX_VIP_SENDERS) {
+        throw new Error(`At most ${MAX_VIP_SENDERS} VIP senders are supported`);
+    }
+}
+
+/**
+ * Gmail query for VIP mail: the VIP label OR any listed sender. A label the
+ * user does not have simply matches nothing.
+ */
+function buildVipQuery(vipSenders) {
+    const terms = [
+        `label:"${VIP_LABEL}"`,
+        ...normalizeVipSenders(vipSenders).map((entry) => `from:${entry}`),
+    ];
+    return terms.length === 1 ? terms[0] : `(${terms.join(" OR ")})`;
+}
+
+/**
+ * Check whether a From header matches the VIP list; a domain also matches
+ * its subdomains
+ */
+function isVipSender(from, vipSenders) {
+    const address = extractAddress(from);
+    if (!address) return false;
+
+    const domain = address.split("@")[1] || "";
+    return normalizeVipSenders(vipSenders).some((entry) =>
+        entry.includes("@")
+            ? entry === address
+            : domain === entry || domain.endsWith(`.${entry}`)
+    );
+}
+
+/**
+ * Order emails with VIP senders first, otherwise keeping their order
+ */
+function rankVipFirst(emails, vipSenders) {
+    const list = emails || [];
+    if (normalizeVipSenders(vipSenders).length === 0) return list;
+
+    const vip = [];
+    const rest = [];
+    for (const email of list) {
+        (isVipSender(email.from, vipSenders) ? vip : rest).push(email);
+    }
+    return [...vip, ...rest];
+}
+
+module.exports = {
+    VIP_LABEL,
+    normalizeVipSenders,
+    validateVipSenders,
+    buildVipQuery,
+    isVipSender,
+    rankVipFirst,
+};
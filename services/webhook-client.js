@@ -1,11 +1,16 @@
 // webhook-client.js
 const axios = require("axios");
 const { DailyBriefGenerator } = require("./daily-brief-generator");
+const { DEFAULT_BRIEF_TYPE } = require("./brief-types");
+const { renderMrkdwn, renderBlocks, renderFallbackText } = require("./brief-renderers");
+const { archiveBrief } = require("../handlers/supabase-helper");
 
 class WebhookClient {
     constructor() {
         this.webhookUrl = process.env.MAIN_BOT_WEBHOOK_URL;
         this.briefGenerator = new DailyBriefGenerator();
+        // "blocks" (Block Kit) or "mrkdwn" (a single text message)
+        this.briefFormat = process.env.SLACK_BRIEF_FORMAT === "mrkdwn" ? "mrkdwn" : "blocks";
         
         if (!this.webhookUrl) {
             throw new Error("MAIN_BOT_WEBHOOK_URL is required in environment variables");
@@ -15,24 +20,25 @@ class WebhookClient {
     }
 
     /**
-     * Generate daily brief and send it to user via main bot webhook
+     * Generate daily brief and send it to user via main bot webhook.
+     * `delivery` ({ userId, localDate, scheduledAt, trigger }) archives the brief.
      */
-    async sendBriefViaWebhook(slackUserId, userEmail) {
-        console.log(`📤 [WEBHOOK-CLIENT] Generating and sending brief for ${userEmail} (Slack ID: ${slackUserId})`);
+    async sendBriefViaWebhook(slackUserId, userEmail, briefType = DEFAULT_BRIEF_TYPE, delivery = null) {
+        console.log(`📤 [WEBHOOK-CLIENT] Generating and sending ${briefType} brief for ${userEmail} (Slack ID: ${slackUserId})`);
 
         try {
             // Step 1: Generate the daily brief content
             console.log("🔄 [WEBHOOK-CLIENT] Generating daily brief content...");
-            const briefContent = await this.briefGenerator.generateDailyBrief(userEmail);
+            const brief = await this.briefGenerator.generateDailyBrief(userEmail, null, briefType);
 
-            if (!briefContent) {
+            if (!brief) {
                 console.error("❌ [WEBHOOK-CLIENT] Failed to generate brief content");
                 return false;
             }
 
             // Step 2: Send via webhook to main bot
             console.log("📡 [WEBHOOK-CLIENT] Sending brief via webhook...");
-            const success = await this.sendMessageViaWebhook(slackUserId, briefContent);
+            const success = await this.sendBrief(slackUserId, brief, delivery);
 
             if (success) {
                 console.log(`✅ [WEBHOOK-CLIENT] Successfully sent brief to ${userEmail}`);
@@ -48,6 +54,63 @@ class WebhookClient {
         }
     }
 
+    /**
+     * Generate a brief ahead of its delivery time
+     */
+    async prepareBrief(userEmail, briefType = DEFAULT_BRIEF_TYPE, deliverAt = null) {
+        return await this.briefGenerator.prepareBrief(userEmail, null, briefType, deliverAt);
+    }
+
+    /**
+     * Refresh a pre-generated brief and send it to user via main bot webhook
+     */
+    async sendPreparedBrief(slackUserId, userEmail, prepared, delivery = null) {
+        console.log(`📤 [WEBHOOK-CLIENT] Sending pre-generated brief for ${userEmail} (Slack ID: ${slackUserId}, prepared at ${prepared.preparedAt})`);
+
+        try {
+            const brief = await this.briefGenerator.refreshPreparedBrief(userEmail, prepared);
+            return await this.sendBrief(slackUserId, brief, delivery);
+        } catch (error) {
+            console.error(`❌ [WEBHOOK-CLIENT] Error sending pre-generated brief:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Render a structured brief for Slack and send it. Block Kit messages
+     * carry a short fallback text for notifications. With a `delivery`, the
+     * brief is archived exactly as sent, whether or not sending worked, and
+     * a delivered scheduled brief stores its action item changes.
+     */
+    async sendBrief(slackUserId, brief, delivery = null) {
+        const message = this.briefFormat === "mrkdwn" ? renderMrkdwn(brief) : renderFallbackText(brief);
+        const blocks = this.briefFormat === "mrkdwn" ? null : renderBlocks(brief);
+
+        const success = await this.sendMessageViaWebhook(slackUserId, message, null, blocks);
+
+        if (delivery) {
+            // The brief was already sent (or not); a failed archive write must not change that
+            const archiveId = await archiveBrief({
+                ...delivery,
+                briefType: brief.type,
+                status: success ? "success" : "failed",
+                errorMessage: success ? null : "Webhook delivery failed",
+                format: this.briefFormat,
+                renderedText: message,
+                blocks,
+                brief,
+            });
+            if (archiveId) console.log(`🗄️ [WEBHOOK-CLIENT] Archived brief ${archiveId}`);
+        }
+
+        // Test briefs leave the user's action items as they are
+        if (success && delivery?.trigger === "scheduled") {
+            await this.briefGenerator.recordActionItems(brief);
+        }
+
+        return success;
+    }
+
     /**
      * Send message to main bot via webhook
      */
@@ -66,7 +129,8 @@ class WebhookClient {
             console.log(`📡 [WEBHOOK-CLIENT] Sending webhook request to ${this.webhookUrl}`);
             console.log(`📋 [WEBHOOK-CLIENT] Payload preview:`, {
                 ...payload,
-                message: payload.message ? `${payload.message.substring(0, 100)}...` : null
+                message: payload.message ? `${payload.message.substring(0, 100)}...` : null,
+                blocks: payload.blocks ? `${payload.blocks.length} blocks` : undefined
             });
 
             const response = await axios.post(this.webhookUrl, payload, {
@@ -137,8 +201,22 @@ const webhookClient = new WebhookClient();
 /**
  * Main export function for sending brief via webhook
  */
-async function sendBriefViaWebhook(slackUserId, userEmail) {
-    return await webhookClient.sendBriefViaWebhook(slackUserId, userEmail);
+async function sendBriefViaWebhook(slackUserId, userEmail, briefType = DEFAULT_BRIEF_TYPE, delivery = null) {
+    return await webhookClient.sendBriefViaWebhook(slackUserId, userEmail, briefType, delivery);
+}
+
+/**
+ * Generate a brief ahead of its delivery time
+ */
+async function prepareBrief(userEmail, briefType = DEFAULT_BRIEF_TYPE, deliverAt = null) {
+    return await webhookClient.prepareBrief(userEmail, briefType, deliverAt);
+}
+
+/**
+ * Send a pre-generated brief via webhook
+ */
+async function sendPreparedBrief(slackUserId, userEmail, prepared, delivery = null) {
+    return await webhookClient.sendPreparedBrief(slackUserId, userEmail, prepared, delivery);
 }
 
 /**
@@ -165,6 +243,8 @@ async function sendMessage(userId, message, channel = null, blocks = null, attac
 module.exports = {
     WebhookClient,
     sendBriefViaWebhook,
+    prepareBrief,
+    sendPreparedBrief,
     testWebhook,
     sendHealthStatus,
     sendMessage
@@ -0,0 +1,346 @@
+// weekly-brief.js
+const { DateTime } = require("luxon");
+const {
+    getEventStart,
+    getEventEnd,
+    formatEventTime,
+} = require("./event-details");
+const { extractAddress } = require("./meeting-correlation");
+const { getRepliedThreads } = require("./brief-diff");
+
+// The weekly brief has two parts, picked by the day it is delivered:
+// - "ahead" (Monday to Thursday): the next seven days' meeting load, key
+//   meetings with people outside the user's domain, and deadlines
+// - "recap" (Friday to Sunday): meeting hours since Monday, email volume
+//   against the same days last week, and threads still waiting for a reply
+
+// Luxon weekday from which a weekly brief is a recap (5 = Friday)
+const RECAP_FROM_WEEKDAY = 5;
+
+const MAX_KEY_MEETINGS = 8;
+const MAX_OPEN_THREADS = 10;
+
+/**
+ * Which part of the weekly brief to build on `day`
+ */
+function getWeeklyPart(day) {
+    return day.weekday >= RECAP_FROM_WEEKDAY ? "recap" : "ahead";
+}
+
+/**
+ * Days the brief covers as { start, end (exclusive), label }: the seven days
+ * from `day` for the week ahead, Monday through `day` for the recap
+ */
+function getWeekRange(day, part) {
+    const start = part === "recap" ? day.startOf("week") : day.startOf("day");
+    const end =
+        part === "recap"
+            ? day.startOf("day").plus({ days: 1 })
+            : start.plus({ days: 7 });
+    const last = end.minus({ days: 1 });
+    const name = part === "recap" ? "Week so far" : "Week ahead";
+
+    return {
+        start,
+        end,
+        label: `${name}: ${start.toFormat("EEE, MMM d")} - ${last.toFormat(
+            "EEE, MMM d"
+        )}`,
+    };
+}
+
+/**
+ * One entry per day of the range, to count into
+ */
+function listDays(range, fields) {
+    const days = [];
+    for (let day = range.start; day < range.end; day = day.plus({ days: 1 })) {
+        days.push({
+            date: day.toISODate(),
+            label: day.toFormat("EEE, MMM d"),
+            ...fields,
+        });
+    }
+    return days;
+}
+
+function roundHours(minutes) {
+    return Math.round((minutes / 60) * 10) / 10;
+}
+
+/**
+ * Meetings and meeting hours per day of the range. Cancelled events are left
+ * out and all-day events are counted separately, without hours.
+ */
+function summarizeMeetingLoad(events, range, timezone) {
+    const days = listDays(range, { meetings: 0, allDay: 0, minutes: 0 });
+    const byDate = new Map(days.map((day) => [day.date, day]));
+
+    for (const event of events || []) {
+        if (event.status === "cancelled") continue;
+
+        const start = getEventStart(event, timezone);
+        const day = start && byDate.get(start.toISODate());
+        if (!day) continue;
+
+        if (event.start?.dateTime) {
+            day.meetings++;
+            day.minutes += Math.max(
+                0,
+                getEventEnd(event, timezone).diff(start, "minutes").minutes
+            );
+        } else {
+            day.allDay++;
+        }
+    }
+
+    return days.map(({ minutes, ...day }) => ({
+        ...day,
+        hours: roundHours(minutes),
+    }));
+}
+
+/**
+ * Upcoming meetings with anyone outside the user's email domain, soonest
+ * first, as [{ event, domains }]
+ */
+function findKeyMeetings(events, userEmail, range, timezone) {
+    const self = extractAddress(userEmail);
+    const ownDomain = self ? self.split("@")[1] : null;
+
+    return (events || [])
+        .filter((event) => event.status !== "cancelled")
+        .map((event) => {
+            const domains = new Set();
+            for (const attendee of event.attendees || []) {
+                const address = extractAddress(attendee.email);
+                if (!address || attendee.resource || address === self) {
+                    continue;
+                }
+
+                const domain = address.split("@")[1];
+                if (domain && domain !== ownDomain) domains.add(domain);
+            }
+            return { event, domains: [...domains] };
+        })
+        .filter(({ event, domains }) => {
+            const start = getEventStart(event, timezone);
+            return (
+                domains.length > 0 &&
+                !!start &&
+                start >= range.start &&
+                start < range.end
+            );
+        })
+        .sort(
+            (a, b) =>
+                getEventStart(a.event, timezone) -
+                getEventStart(b.event, timezone)
+        )
+        .slice(0, MAX_KEY_MEETINGS);
+}
+
+/**
+ * Busy intervals from a free/busy response, whether it is Google's
+ * { calendars: { <id>: { busy } } } or a single { busy } list
+ */
+function getBusyIntervals(freeBusy) {
+    if (!freeBusy) return [];
+    if (Array.isArray(freeBusy.busy)) return freeBusy.busy;
+
+    return Object.values(freeBusy.calendars || {}).flatMap(
+        (calendar) => calendar.busy || []
+    );
+}
+
+/**
+ * Busy hours per day of the range. Overlapping intervals are merged so a
+ * double-booked hour counts once, and intervals are split at midnight.
+ */
+function summarizeBusyHours(intervals, range, timezone) {
+    const days = listDays(range, { minutes: 0 });
+    const byDate = new Map(days.map((day) => [day.date, day]));
+
+    const merged = [];
+    const sorted = (intervals || [])
+        .map((interval) => ({
+            start: DateTime.fromISO(interval.start).setZone(timezone),
+            end: DateTime.fromISO(interval.end).setZone(timezone),
+        }))
+        .filter(
+            ({ start, end }) => start.isValid && end.isValid && end > start
+        )
+        .sort((a, b) => a.start - b.start);
+    for (const interval of sorted) {
+        const last = merged[merged.length - 1];
+        if (last && interval.start <= last.end) {
+            if (interval.end > last.end) last.end = interval.end;
+        } else {
+            merged.push({ ...interval });
+        }
+    }
+
+    for (const interval of merged) {
+        let start =
+            interval.start < range.start ? range.start : interval.start;
+        const end = interval.end > range.end ? range.end : interval.end;
+        while (start < end) {
+            const midnight = start.startOf("day").plus({ days: 1 });
+            const until = midnight < end ? midnight : end;
+            const day = byDate.get(start.toISODate());
+            if (day) day.minutes += until.diff(start, "minutes").minutes;
+            start = until;
+        }
+    }
+
+    return days.map(({ minutes, ...day }) => ({
+        ...day,
+        hours: roundHours(minutes),
+    }));
+}
+
+/**
+ * Emails received per day of the range, with the total for the same days
+ * the week before. `emails` must cover both weeks.
+ */
+function summarizeEmailVolume(emails, range, timezone) {
+    const days = listDays(range, { count: 0 });
+    const byDate = new Map(days.map((day) => [day.date, day]));
+    const previousStart = range.start.minus({ weeks: 1 });
+    const previousEnd = range.end.minus({ weeks: 1 });
+
+    let previousTotal = 0;
+    for (const email of emails || []) {
+        const received = DateTime.fromJSDate(new Date(email.date)).setZone(
+            timezone
+        );
+        if (!received.isValid) continue;
+
+        if (received >= range.start && received < range.end) {
+            byDate.get(received.toISODate()).count++;
+        } else if (received >= previousStart && received < previousEnd) {
+            previousTotal++;
+        }
+    }
+
+    const total = days.reduce((sum, day) => sum + day.count, 0);
+    return {
+        days,
+        total,
+        previousTotal,
+        change:
+            previousTotal > 0
+                ? Math.round(((total - previousTotal) / previousTotal) * 100)
+                : null,
+    };
+}
+
+/**
+ * Important threads received in the range that the user has not replied
+ * to, newest first, one entry per thread
+ */
+function findOpenThreads(emails, sentEmails, range, timezone) {
+    const isReplied = getRepliedThreads(sentEmails);
+    const threads = new Map();
+
+    for (const email of emails || []) {
+        const received = DateTime.fromJSDate(new Date(email.date)).setZone(
+            timezone
+        );
+        if (
+            !received.isValid ||
+            received < range.start ||
+            received >= range.end
+        ) {
+            continue;
+        }
+
+        const key = email.threadId || email.threadLink || email.subject;
+        if (threads.has(key) || isReplied(email)) continue;
+        threads.set(key, { ...email, receivedAt: received });
+    }
+
+    return [...threads.values()]
+        .sort((a, b) => b.receivedAt - a.receivedAt)
+        .slice(0, MAX_OPEN_THREADS);
+}
+
+/**
+ * An event's day and time, e.g. "Wed, Oct 21, 2:00 PM - 3:00 PM"
+ */
+function formatWeekEventTime(event, timezone) {
+    const start = getEventStart(event, timezone);
+    if (!start) return formatEventTime(event, timezone, null);
+    return `${start.toFormat("EEE, MMM d")}, ${formatEventTime(
+        event,
+        timezone,
+        start
+    )}`;
+}
+
+function formatHours(hours) {
+    return `${hours} hour${hours === 1 ? "" : "s"}`;
+}
+
+/**
+ * Brief section items for the meeting load, one per day
+ */
+function describeMeetingLoad(days) {
+    return days.map((day) => {
+        const parts = [
+            day.meetings === 0
+                ? "no meetings"
+                : `${day.meetings} meeting${
+                      day.meetings === 1 ? "" : "s"
+                  }, ${formatHours(day.hours)}`,
+        ];
+        if (day.allDay > 0) {
+            parts.push(
+                `${day.allDay} all-day event${day.allDay === 1 ? "" : "s"}`
+            );
+        }
+        return { text: day.label, meta: parts.join(", ") };
+    });
+}
+
+/**
+ * Brief section items for busy hours, one per day
+ */
+function describeBusyHours(days) {
+    return days.map((day) => ({
+        text: day.label,
+        meta: day.hours === 0 ? "no meetings" : formatHours(day.hours),
+    }));
+}
+
+/**
+ * One line comparing this week's email volume with last week's
+ */
+function describeEmailTrend(volume) {
+    if (volume.change === null) {
+        return `${volume.total} emails received (none in the same days last week)`;
+    }
+    const direction =
+        volume.change === 0
+            ? "same as"
+            : `${Math.abs(volume.change)}% ${
+                  volume.change > 0 ? "more than" : "fewer than"
+              }`;
+    return `${volume.total} emails received, ${direction} the same days last week (${volume.previousTotal})`;
+}
+
+module.exports = {
+    getWeeklyPart,
+    getWeekRange,
+    summarizeMeetingLoad,
+    findKeyMeetings,
+    getBusyIntervals,
+    summarizeBusyHours,
+    summarizeEmailVolume,
+    findOpenThreads,
+    formatWeekEventTime,
+    formatHours,
+    describeMeetingLoad,
+    describeBusyHours,
+    describeEmailTrend,
+};
@@ -0,0 +1,162 @@
+// simulate-schedule.js - Fast-forward the scheduler on a simulated clock
+//
+//   node simulate-schedule.js                      run the built-in DST / midnight scenarios
+//   node simulate-schedule.js --user <id> [--from <ISO>] [--days <n>]
+//                                                  show what a real user's schedule would fire
+require("dotenv").config();
+
+const { DateTime } = require("luxon");
+const { simulateDeliveries } = require("./services/delivery-tasks");
+
+// Each scenario runs one user from `from` to `to` and lists the local
+// delivery times (with status) that must fire, in order
+const SCENARIOS = [
+    {
+        name: "Spring forward: 02:30 in New York moves to 03:30 on the DST day",
+        user: { user_id: "sim-spring", timezone: "America/New_York", delivery_time: "02:30" },
+        from: "2026-03-07T00:00:00-05:00",
+        to: "2026-03-10T00:00:00-04:00",
+        expected: [
+            "2026-03-07T02:30:00.000-05:00 sent",
+            "2026-03-08T03:30:00.000-04:00 sent",
+            "2026-03-09T02:30:00.000-04:00 sent",
+        ],
+    },
+    {
+        name: "Fall back: 01:30 in New York fires once, at the first occurrence",
+        user: { user_id: "sim-fall", timezone: "America/New_York", delivery_time: "01:30" },
+        from: "2026-10-31T12:00:00-04:00",
+        to: "2026-11-02T12:00:00-05:00",
+        expected: [
+            "2026-11-01T01:30:00.000-04:00 sent",
+            "2026-11-02T01:30:00.000-05:00 sent",
+        ],
+    },
+    {
+        name: "Midnight delivery in Sydney with weekends off",
+        user: {
+            user_id: "sim-midnight",
+            timezone: "Australia/Sydney",
+            delivery_time: "00:00",
+            weekly_schedule: { sat: "off", sun: "off" },
+        },
+        from: "2026-10-23T23:00:00+11:00",
+        to: "2026-10-27T01:00:00+11:00",
+        expected: [
+            "2026-10-26T00:00:00.000+11:00 sent",
+            "2026-10-27T00:00:00.000+11:00 sent",
+        ],
+    },
+    {
+        name: "Paused day in Los Angeles is skipped, delivery resumes after",
+        user: {
+            user_id: "sim-pause",
+            timezone: "America/Los_Angeles",
+            delivery_time: "08:00",
+            pauses: [{ start: "2026-10-20", end: "2026-10-20", reason: "Vacation" }],
+        },
+        from: "2026-10-19T00:00:00-07:00",
+        to: "2026-10-21T12:00:00-07:00",
+        expected: [
+            "2026-10-19T08:00:00.000-07:00 sent",
+            "2026-10-20T08:00:00.000-07:00 skipped",
+            "2026-10-21T08:00:00.000-07:00 sent",
+        ],
+    },
+    {
+        name: "Weekly brief on its own schedule: Friday recap and Monday week ahead",
+        user: {
+            user_id: "sim-weekly",
+            timezone: "America/Chicago",
+            delivery_time: "07:30",
+            weekly_schedule: { sat: "off", sun: "off" },
+            brief_types: { weekly: {} },
+        },
+        from: "2026-10-23T00:00:00-05:00",
+        to: "2026-10-26T12:00:00-05:00",
+        expected: [
+            "2026-10-23T07:30:00.000-05:00 sent",
+            "2026-10-23T16:00:00.000-05:00 sent",
+            "2026-10-26T07:30:00.000-05:00 sent",
+            "2026-10-26T08:00:00.000-05:00 sent",
+        ],
+    },
+];
+
+function getArg(name) {
+    const index = process.argv.indexOf(`--${name}`);
+    return index === -1 ? null : process.argv[index + 1];
+}
+
+function printDeliveries(deliveries) {
+    for (const delivery of deliveries) {
+        console.log(
+            `   ${delivery.status === "sent" ? "📤" : "⏭️"} ${delivery.briefType} ${delivery.local} (UTC ${delivery.utc}) ${delivery.status}${
+                delivery.skipReason ? ` - ${delivery.skipReason}` : ""
+            }`
+        );
+    }
+}
+
+// Run the built-in scenarios offline. Returns { passed, total }; also run
+// by test-scheduler.js.
+async function runScenarios() {
+    console.log("🕰️ [SIMULATE] Running schedule scenarios on a simulated clock...\n");
+
+    let passed = 0;
+
+    for (const scenario of SCENARIOS) {
+        console.log(`📋 [SIMULATE] ${scenario.name}`);
+
+        const user = { user_email: `${scenario.user.user_id}@example.com`, slack_user_id: "USIMULATED", ...scenario.user };
+        const deliveries = await simulateDeliveries([user], scenario.from, scenario.to);
+        const actual = deliveries.map((delivery) => `${delivery.local} ${delivery.status}`);
+
+        printDeliveries(deliveries);
+
+        if (JSON.stringify(actual) === JSON.stringify(scenario.expected)) {
+            console.log("✅ [SIMULATE] Passed\n");
+            passed++;
+        } else {
+            console.log("❌ [SIMULATE] Failed, expected:");
+            scenario.expected.forEach((line) => console.log(`   ${line}`));
+            console.log("");
+        }
+    }
+
+    console.log(`📊 [SIMULATE] ${passed}/${SCENARIOS.length} scenarios passed`);
+    return { passed, total: SCENARIOS.length };
+}
+
+async function simulateUser(userId) {
+    // Only a real user's schedule needs Supabase
+    const { getUserPreferences } = require("./handlers/supabase-helper");
+    const user = await getUserPreferences(userId);
+    if (!user) {
+        console.error(`❌ [SIMULATE] No preferences found for user ${userId}`);
+        process.exit(1);
+    }
+
+    const from = getArg("from") ? DateTime.fromISO(getArg("from"), { zone: user.timezone }) : DateTime.now();
+    const to = from.plus({ days: parseInt(getArg("days") || "7", 10) });
+
+    console.log(`🕰️ [SIMULATE] ${userId} (${user.timezone}) from ${from.toISO()} to ${to.toISO()}\n`);
+    printDeliveries(await simulateDeliveries([user], from, to));
+    process.exit(0);
+}
+
+if (require.main === module) {
+    const userId = getArg("user");
+    const run = userId
+        ? simulateUser(userId)
+        : runScenarios().then(({ passed, total }) => process.exit(passed === total ? 0 : 1));
+
+    run.catch((error) => {
+        console.error("💥 [SIMULATE] Simulation failed:", error);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    runScenarios,
+};